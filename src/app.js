@@ -0,0 +1,26 @@
+// Builds the Express app without starting anything: no listen, no Mongo connection, no workers.
+// index.js does that for the real server; the tests mount the same app on a random port.
+
+const express = require('express');
+const { requestContext } = require('./middleware');
+
+function createApp() {
+  const app = express();
+
+  // Every request gets an id (see requestContext) before anything else runs
+  app.use(requestContext);
+  // keep the raw body around for webhook signature checks (Razorpay signs the exact bytes)
+  app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+  app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+
+  app.use(require('./routes/payments'));
+  app.use(require('./routes/admin'));
+  app.use(require('./routes/api'));
+  app.use(require('./routes/webhooks'));
+  app.use(require('./routes/health'));
+  app.use(require('./routes/files'));
+
+  return app;
+}
+
+module.exports = { createApp };
@@ -0,0 +1,97 @@
+// Configuration from the environment, read once at startup. index.js checks the essentials and
+// exits if they're missing; everything else degrades (a channel or provider just stays off).
+
+const path = require('path');
+
+const TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID;
+const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN;
+const TWILIO_WHATSAPP_NUMBER = process.env.TWILIO_WHATSAPP_NUMBER;
+// Meta's WhatsApp Cloud API: a system user token, the sending number's id, and the app secret
+// that signs webhooks (X-Hub-Signature-256). The verify token answers Meta's subscribe check.
+const WHATSAPP_CLOUD_TOKEN = process.env.WHATSAPP_CLOUD_TOKEN;
+const WHATSAPP_CLOUD_PHONE_NUMBER_ID = process.env.WHATSAPP_CLOUD_PHONE_NUMBER_ID;
+const WHATSAPP_CLOUD_APP_SECRET = process.env.WHATSAPP_CLOUD_APP_SECRET;
+const WHATSAPP_CLOUD_VERIFY_TOKEN = process.env.WHATSAPP_CLOUD_VERIFY_TOKEN;
+const GRAPH_API_URL = `https://graph.facebook.com/${process.env.GRAPH_API_VERSION || 'v21.0'}`;
+const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
+// sent back by Telegram as X-Telegram-Bot-Api-Secret-Token on every webhook call
+const TELEGRAM_WEBHOOK_SECRET = process.env.TELEGRAM_WEBHOOK_SECRET;
+const REMOVEBG_API_KEY = process.env.REMOVEBG_API_KEY;
+const BG_PROVIDERS = (process.env.BG_PROVIDERS || 'removebg,local').split(',').map(p => p.trim().toLowerCase()).filter(Boolean);
+const LOCAL_MODEL_PATH = process.env.LOCAL_MODEL_PATH;
+const LOCAL_MODEL_SIZE = parseInt(process.env.LOCAL_MODEL_SIZE) || 320;
+const MONGODB_URI = process.env.MONGODB_URI;
+const RAZORPAY_PLAN_ID = process.env.RAZORPAY_PLAN_ID;
+const RAZORPAY_WEBHOOK_SECRET = process.env.RAZORPAY_WEBHOOK_SECRET;
+const ADMIN_SECRET = process.env.ADMIN_SECRET;
+// Signs /file links; falls back to the Twilio token so existing deploys keep working
+const FILE_SIGNING_SECRET = process.env.FILE_SIGNING_SECRET || TWILIO_AUTH_TOKEN;
+const FILE_LINK_TTL_DAYS = parseInt(process.env.FILE_LINK_TTL_DAYS) || 7;
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local')).toLowerCase();
+const STORAGE_FOLDER = 'whatsapp-bg-remover';
+const LOCAL_STORAGE_DIR = process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '..', 'storage');
+// Stored outputs older than this are deleted; 0 keeps them forever
+const RETENTION_DAYS = process.env.RETENTION_DAYS !== undefined ? parseInt(process.env.RETENTION_DAYS) || 0 : 30;
+// Free images both sides get when a new user sends REF <code>, and how new "new" is
+const REFERRAL_BONUS = parseInt(process.env.REFERRAL_BONUS) || 3;
+const REFERRAL_WINDOW_DAYS = parseInt(process.env.REFERRAL_WINDOW_DAYS) || 7;
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+// Bearer token for /metrics; open when unset (e.g. scraped over a private network)
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+const PORT = process.env.PORT || 3000;
+// Per-number sliding window: at most RATE_LIMIT_MESSAGES messages and RATE_LIMIT_IMAGES images per
+// RATE_LIMIT_WINDOW_SECONDS (0 turns a limit off). Going over blocks the number for RATE_LIMIT_BLOCK_MINUTES.
+const RATE_LIMIT_WINDOW_SECONDS = parseInt(process.env.RATE_LIMIT_WINDOW_SECONDS) || 60;
+const RATE_LIMIT_MESSAGES = process.env.RATE_LIMIT_MESSAGES !== undefined ? parseInt(process.env.RATE_LIMIT_MESSAGES) || 0 : 15;
+const RATE_LIMIT_IMAGES = process.env.RATE_LIMIT_IMAGES !== undefined ? parseInt(process.env.RATE_LIMIT_IMAGES) || 0 : 30;
+const RATE_LIMIT_BLOCK_MINUTES = parseInt(process.env.RATE_LIMIT_BLOCK_MINUTES) || 15;
+// remove.bg credits we're willing to spend per UTC day / month; unset means no cap.
+// Paying users are never held back by these.
+const REMOVEBG_DAILY_BUDGET = parseInt(process.env.REMOVEBG_DAILY_BUDGET) || 0;
+const REMOVEBG_MONTHLY_BUDGET = parseInt(process.env.REMOVEBG_MONTHLY_BUDGET) || 0;
+
+// Provider base URLs. Only overridden by the test suite, which points them at local fakes.
+const REMOVEBG_API_URL = process.env.REMOVEBG_API_URL || 'https://api.remove.bg';
+const TWILIO_API_URL = process.env.TWILIO_API_URL;
+const RAZORPAY_API_URL = process.env.RAZORPAY_API_URL;
+
+module.exports = {
+  TWILIO_ACCOUNT_SID,
+  TWILIO_AUTH_TOKEN,
+  TWILIO_WHATSAPP_NUMBER,
+  WHATSAPP_CLOUD_TOKEN,
+  WHATSAPP_CLOUD_PHONE_NUMBER_ID,
+  WHATSAPP_CLOUD_APP_SECRET,
+  WHATSAPP_CLOUD_VERIFY_TOKEN,
+  GRAPH_API_URL,
+  TELEGRAM_BOT_TOKEN,
+  TELEGRAM_WEBHOOK_SECRET,
+  REMOVEBG_API_KEY,
+  BG_PROVIDERS,
+  LOCAL_MODEL_PATH,
+  LOCAL_MODEL_SIZE,
+  MONGODB_URI,
+  RAZORPAY_PLAN_ID,
+  RAZORPAY_WEBHOOK_SECRET,
+  ADMIN_SECRET,
+  FILE_SIGNING_SECRET,
+  FILE_LINK_TTL_DAYS,
+  STORAGE_BACKEND,
+  STORAGE_FOLDER,
+  LOCAL_STORAGE_DIR,
+  RETENTION_DAYS,
+  REFERRAL_BONUS,
+  REFERRAL_WINDOW_DAYS,
+  IS_PRODUCTION,
+  METRICS_TOKEN,
+  PORT,
+  RATE_LIMIT_WINDOW_SECONDS,
+  RATE_LIMIT_MESSAGES,
+  RATE_LIMIT_IMAGES,
+  RATE_LIMIT_BLOCK_MINUTES,
+  REMOVEBG_DAILY_BUDGET,
+  REMOVEBG_MONTHLY_BUDGET,
+  REMOVEBG_API_URL,
+  TWILIO_API_URL,
+  RAZORPAY_API_URL
+};
@@ -0,0 +1,55 @@
+// Structured logging: one JSON object per line on stdout (stderr for errors).
+// Request and job ids ride along through AsyncLocalStorage, so every line logged while handling
+// a webhook or running a job carries them without being passed around.
+// Phone numbers are masked wherever they appear in a known field - never interpolate them into msg.
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+
+// Fields that hold a phone number (or a Telegram account id) and are masked before writing
+const PHONE_FIELDS = ['phoneNumber', 'from', 'to', 'referrer', 'referredBy'];
+
+const context = new AsyncLocalStorage();
+
+// +919876543210 -> +91******3210, tg123456789 -> tg*****6789
+function maskPhone(value) {
+  if (typeof value !== 'string' || value.length < 6) return value;
+  const head = value.startsWith('+') ? 3 : 2;
+  return value.slice(0, head) + '*'.repeat(Math.max(value.length - head - 4, 1)) + value.slice(-4);
+}
+
+function serializeError(error) {
+  return { message: error.message, code: error.code, stack: error.stack };
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < LOG_LEVEL) return;
+  const entry = { time: new Date().toISOString(), level, msg, ...context.getStore(), ...fields };
+  for (const key of PHONE_FIELDS) {
+    if (entry[key]) entry[key] = maskPhone(entry[key]);
+  }
+  if (entry.err instanceof Error) entry.err = serializeError(entry.err);
+  const line = JSON.stringify(entry);
+  if (LEVELS[level] >= LEVELS.error) process.stderr.write(line + '\n');
+  else process.stdout.write(line + '\n');
+}
+
+const log = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields)
+};
+
+// Runs fn with extra fields (requestId, jobId, ...) attached to everything it logs
+function withContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+function getContext() {
+  return context.getStore() || {};
+}
+
+module.exports = { log, withContext, getContext, maskPhone };
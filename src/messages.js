@@ -0,0 +1,613 @@
+// WhatsApp reply catalogue. Every text the bot sends lives here, keyed by message id.
+// Placeholders are {name}; a missing translation falls back to English.
+// Command words (START, UPGRADE, ...) stay in English in every language - they are what users type.
+
+const LANGUAGES = {
+  en: { name: 'English', aliases: ['english', 'eng'] },
+  hi: { name: 'हिन्दी', aliases: ['hindi', 'हिन्दी', 'हिंदी'] },
+  ta: { name: 'தமிழ்', aliases: ['tamil', 'தமிழ்'] },
+  ur: { name: 'اردو', aliases: ['urdu', 'اردو'] }
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+const MESSAGES = {
+  error_generic: {
+    en: '❌ Error',
+    hi: '❌ कुछ गड़बड़ हो गई',
+    ta: '❌ பிழை ஏற்பட்டது',
+    ur: '❌ کوئی خرابی ہو گئی'
+  },
+  not_configured: {
+    en: '❌ Not configured',
+    hi: '❌ सेवा अभी उपलब्ध नहीं है',
+    ta: '❌ சேவை இப்போது கிடைக்கவில்லை',
+    ur: '❌ سروس ابھی دستیاب نہیں ہے'
+  },
+  cancelled: {
+    en: '👌 Cancelled',
+    hi: '👌 रद्द कर दिया गया',
+    ta: '👌 ரத்து செய்யப்பட்டது',
+    ur: '👌 منسوخ کر دیا گیا'
+  },
+  nothing_to_cancel: {
+    en: '👌 Nothing to cancel',
+    hi: '👌 रद्द करने के लिए कुछ नहीं है',
+    ta: '👌 ரத்து செய்ய எதுவும் இல்லை',
+    ur: '👌 منسوخ کرنے کے لیے کچھ نہیں'
+  },
+  fallback: {
+    en: '👋 Send an image to remove background\n\nType HELP for commands',
+    hi: '👋 बैकग्राउंड हटाने के लिए एक फ़ोटो भेजें\n\nकमांड देखने के लिए HELP लिखें',
+    ta: '👋 பின்னணியை நீக்க ஒரு படத்தை அனுப்புங்கள்\n\nகட்டளைகளுக்கு HELP என தட்டச்சு செய்யவும்',
+    ur: '👋 بیک گراؤنڈ ہٹانے کے لیے ایک تصویر بھیجیں\n\nکمانڈز کے لیے HELP لکھیں'
+  },
+
+  // Images
+  images_only: {
+    en: '⚠️ Please send an image (photos only)',
+    hi: '⚠️ कृपया एक फ़ोटो भेजें (सिर्फ़ तस्वीरें)',
+    ta: '⚠️ தயவுசெய்து ஒரு படத்தை அனுப்புங்கள் (புகைப்படங்கள் மட்டும்)',
+    ur: '⚠️ براہ کرم ایک تصویر بھیجیں (صرف تصاویر)'
+  },
+  rate_limited: {
+    en: '⏳ Too many messages. Please wait {minutes} minutes and try again.',
+    hi: '⏳ बहुत ज़्यादा संदेश। कृपया {minutes} मिनट रुककर फिर कोशिश करें।',
+    ta: '⏳ அதிகமான செய்திகள். {minutes} நிமிடங்கள் காத்திருந்து மீண்டும் முயற்சிக்கவும்.',
+    ur: '⏳ بہت زیادہ پیغامات۔ براہ کرم {minutes} منٹ انتظار کر کے دوبارہ کوشش کریں۔'
+  },
+  budget_paused: {
+    en: '⏸️ Free processing is paused until {date} because of high demand. Reply UPGRADE to keep going now.',
+    hi: '⏸️ ज़्यादा मांग की वजह से मुफ़्त प्रोसेसिंग {date} तक रुकी है। अभी जारी रखने के लिए UPGRADE लिखें।',
+    ta: '⏸️ அதிக தேவையால் இலவச செயலாக்கம் {date} வரை நிறுத்தப்பட்டுள்ளது. இப்போதே தொடர UPGRADE என பதிலளிக்கவும்.',
+    ur: '⏸️ زیادہ مانگ کی وجہ سے مفت پروسیسنگ {date} تک رکی ہوئی ہے۔ ابھی جاری رکھنے کے لیے UPGRADE لکھیں۔'
+  },
+  processing: {
+    en: '⏳ Processing...',
+    hi: '⏳ प्रोसेस हो रहा है...',
+    ta: '⏳ செயலாக்கப்படுகிறது...',
+    ur: '⏳ کارروائی جاری ہے...'
+  },
+  processing_many: {
+    en: '⏳ Processing {count} images...',
+    hi: '⏳ {count} फ़ोटो प्रोसेस हो रही हैं...',
+    ta: '⏳ {count} படங்கள் செயலாக்கப்படுகின்றன...',
+    ur: '⏳ {count} تصاویر پر کارروائی جاری ہے...'
+  },
+  attachment_skipped: {
+    en: '(1 non-image attachment skipped)',
+    hi: '(1 गैर-फ़ोटो अटैचमेंट छोड़ा गया)',
+    ta: '(படம் அல்லாத 1 இணைப்பு தவிர்க்கப்பட்டது)',
+    ur: '(تصویر کے علاوہ 1 اٹیچمنٹ چھوڑ دی گئی)'
+  },
+  attachments_skipped: {
+    en: '({count} non-image attachments skipped)',
+    hi: '({count} गैर-फ़ोटो अटैचमेंट छोड़े गए)',
+    ta: '(படம் அல்லாத {count} இணைப்புகள் தவிர்க்கப்பட்டன)',
+    ur: '(تصویر کے علاوہ {count} اٹیچمنٹس چھوڑ دی گئیں)'
+  },
+  done: {
+    en: '✅ Done! {remaining} left',
+    hi: '✅ हो गया! {remaining} बाकी',
+    ta: '✅ முடிந்தது! {remaining} மீதம்',
+    ur: '✅ ہو گیا! {remaining} باقی'
+  },
+  already_processed: {
+    en: '♻️ Already processed this one - no credit used',
+    hi: '♻️ यह फ़ोटो पहले ही प्रोसेस हो चुकी है - कोई क्रेडिट नहीं लगा',
+    ta: '♻️ இது ஏற்கனவே செயலாக்கப்பட்டது - கிரெடிட் எதுவும் பயன்படுத்தப்படவில்லை',
+    ur: '♻️ یہ تصویر پہلے ہی پروسیس ہو چکی ہے - کوئی کریڈٹ استعمال نہیں ہوا'
+  },
+  done_batch: {
+    en: '✅ Image {index}/{total} done! {remaining} left',
+    hi: '✅ फ़ोटो {index}/{total} तैयार! {remaining} बाकी',
+    ta: '✅ படம் {index}/{total} முடிந்தது! {remaining} மீதம்',
+    ur: '✅ تصویر {index}/{total} تیار! {remaining} باقی'
+  },
+  batch_done_all: {
+    en: '📦 *Batch finished*\n\n✅ All {total} images done\n\n{remaining} left',
+    hi: '📦 *बैच पूरा हुआ*\n\n✅ सभी {total} फ़ोटो तैयार\n\n{remaining} बाकी',
+    ta: '📦 *தொகுப்பு முடிந்தது*\n\n✅ அனைத்து {total} படங்களும் முடிந்தன\n\n{remaining} மீதம்',
+    ur: '📦 *بیچ مکمل*\n\n✅ تمام {total} تصاویر تیار\n\n{remaining} باقی'
+  },
+  batch_done_partial: {
+    en: '📦 *Batch finished*\n\n✅ {succeeded} done\n❌ {failed} failed\n\n{remaining} left',
+    hi: '📦 *बैच पूरा हुआ*\n\n✅ {succeeded} तैयार\n❌ {failed} विफल\n\n{remaining} बाकी',
+    ta: '📦 *தொகுப்பு முடிந்தது*\n\n✅ {succeeded} முடிந்தன\n❌ {failed} தோல்வி\n\n{remaining} மீதம்',
+    ur: '📦 *بیچ مکمل*\n\n✅ {succeeded} تیار\n❌ {failed} ناکام\n\n{remaining} باقی'
+  },
+  job_failed: {
+    en: '❌ Could not process your image.\n\n{error}',
+    hi: '❌ फ़ोटो प्रोसेस करने में गड़बड़ी:\n\n{error}',
+    ta: '❌ படத்தைச் செயலாக்குவதில் பிழை:\n\n{error}',
+    ur: '❌ تصویر پر کارروائی میں خرابی:\n\n{error}'
+  },
+  job_failed_batch: {
+    en: '❌ Could not process image {index}.\n\n{error}',
+    hi: '❌ फ़ोटो {index} प्रोसेस करने में गड़बड़ी:\n\n{error}',
+    ta: '❌ படம் {index} செயலாக்குவதில் பிழை:\n\n{error}',
+    ur: '❌ تصویر {index} پر کارروائی میں خرابی:\n\n{error}'
+  },
+
+  error_not_an_image: {
+    en: 'That file is not a photo. Please send a JPG or PNG image.',
+    hi: 'यह फ़ाइल फ़ोटो नहीं है। कृपया JPG या PNG फ़ोटो भेजें।',
+    ta: 'அந்தக் கோப்பு புகைப்படம் அல்ல. தயவுசெய்து JPG அல்லது PNG படத்தை அனுப்புங்கள்.',
+    ur: 'یہ فائل تصویر نہیں ہے۔ براہ کرم JPG یا PNG تصویر بھیجیں۔'
+  },
+  error_unsupported_format: {
+    en: 'This image format is not supported. Please send a JPG or PNG image.',
+    hi: 'यह फ़ोटो फ़ॉर्मैट समर्थित नहीं है। कृपया JPG या PNG फ़ोटो भेजें।',
+    ta: 'இந்தப் பட வடிவம் ஆதரிக்கப்படவில்லை. தயவுசெய்து JPG அல்லது PNG படத்தை அனுப்புங்கள்.',
+    ur: 'یہ تصویر کا فارمیٹ قابل قبول نہیں ہے۔ براہ کرم JPG یا PNG تصویر بھیجیں۔'
+  },
+  error_too_large: {
+    en: 'The image is too large (max 25MB). Please send a smaller one.',
+    hi: 'फ़ोटो बहुत बड़ी है (अधिकतम 25MB)। कृपया छोटी फ़ोटो भेजें।',
+    ta: 'படம் மிகப் பெரியது (அதிகபட்சம் 25MB). தயவுசெய்து சிறிய படத்தை அனுப்புங்கள்.',
+    ur: 'تصویر بہت بڑی ہے (زیادہ سے زیادہ 25MB)۔ براہ کرم چھوٹی تصویر بھیجیں۔'
+  },
+  error_too_small: {
+    en: 'The image is too small. Please send a bigger photo.',
+    hi: 'फ़ोटो बहुत छोटी है। कृपया बड़ी फ़ोटो भेजें।',
+    ta: 'படம் மிகச் சிறியது. தயவுசெய்து பெரிய படத்தை அனுப்புங்கள்.',
+    ur: 'تصویر بہت چھوٹی ہے۔ براہ کرم بڑی تصویر بھیجیں۔'
+  },
+  error_corrupt: {
+    en: 'The image could not be opened. It may be damaged - please try another one.',
+    hi: 'फ़ोटो खुल नहीं सकी। शायद वह खराब है - कृपया दूसरी फ़ोटो आज़माएं।',
+    ta: 'படத்தைத் திறக்க முடியவில்லை. அது சேதமடைந்திருக்கலாம் - வேறு படத்தை முயற்சிக்கவும்.',
+    ur: 'تصویر کھل نہیں سکی۔ شاید وہ خراب ہے - براہ کرم دوسری تصویر آزمائیں۔'
+  },
+  error_download_failed: {
+    en: 'We could not download your image. Please send it again.',
+    hi: 'हम आपकी फ़ोटो डाउनलोड नहीं कर सके। कृपया उसे फिर से भेजें।',
+    ta: 'உங்கள் படத்தைப் பதிவிறக்க முடியவில்லை. தயவுசெய்து அதை மீண்டும் அனுப்புங்கள்.',
+    ur: 'ہم آپ کی تصویر ڈاؤن لوڈ نہیں کر سکے۔ براہ کرم اسے دوبارہ بھیجیں۔'
+  },
+  error_no_subject: {
+    en: 'We could not find a clear subject in this photo. Try one where the person or product stands out.',
+    hi: 'इस फ़ोटो में कोई साफ़ विषय नहीं मिला। ऐसी फ़ोटो आज़माएं जिसमें व्यक्ति या प्रोडक्ट साफ़ दिखे।',
+    ta: 'இந்தப் படத்தில் தெளிவான பொருள் கண்டறியப்படவில்லை. நபர் அல்லது பொருள் தெளிவாகத் தெரியும் படத்தை முயற்சிக்கவும்.',
+    ur: 'اس تصویر میں کوئی واضح چیز نہیں ملی۔ ایسی تصویر آزمائیں جس میں شخص یا پروڈکٹ صاف نظر آئے۔'
+  },
+  error_budget_paused: {
+    en: 'Free processing is paused for now because of high demand. Please try again later, or reply UPGRADE.',
+    hi: 'ज़्यादा मांग की वजह से मुफ़्त प्रोसेसिंग अभी रुकी है। कृपया बाद में कोशिश करें, या UPGRADE लिखें।',
+    ta: 'அதிக தேவையால் இலவச செயலாக்கம் தற்போது நிறுத்தப்பட்டுள்ளது. பிறகு முயற்சிக்கவும், அல்லது UPGRADE என பதிலளிக்கவும்.',
+    ur: 'زیادہ مانگ کی وجہ سے مفت پروسیسنگ ابھی رکی ہوئی ہے۔ براہ کرم بعد میں کوشش کریں، یا UPGRADE لکھیں۔'
+  },
+  error_quota_exceeded: {
+    en: 'You have no images left this month. Reply UPGRADE for more.',
+    hi: 'इस महीने आपकी कोई फ़ोटो बाकी नहीं है। और के लिए UPGRADE लिखें।',
+    ta: 'இந்த மாதம் உங்களுக்குப் படங்கள் எதுவும் மீதம் இல்லை. மேலும் பெற UPGRADE என பதிலளிக்கவும்.',
+    ur: 'اس مہینے آپ کی کوئی تصویر باقی نہیں ہے۔ مزید کے لیے UPGRADE لکھیں۔'
+  },
+  error_processing_failed: {
+    en: 'Something went wrong on our side. Please try again in a few minutes.',
+    hi: 'हमारी तरफ़ से कुछ गड़बड़ हो गई। कृपया कुछ मिनट बाद फिर कोशिश करें।',
+    ta: 'எங்கள் பக்கத்தில் ஏதோ தவறு நடந்தது. சில நிமிடங்களில் மீண்டும் முயற்சிக்கவும்.',
+    ur: 'ہماری طرف سے کچھ خرابی ہو گئی۔ براہ کرم چند منٹ بعد دوبارہ کوشش کریں۔'
+  },
+
+  // START / STATUS / HELP
+  welcome: {
+    en: '🎨 *Background Remover*\n\n📊 Status: {plan}\nUsed: {used}/{limit}{creditsLine}\n\nCommands: START, STATUS, HELP, UPGRADE',
+    hi: '🎨 *बैकग्राउंड रिमूवर*\n\n📊 प्लान: {plan}\nइस्तेमाल: {used}/{limit}{creditsLine}\n\nकमांड: START, STATUS, HELP, UPGRADE',
+    ta: '🎨 *பின்னணி நீக்கி*\n\n📊 திட்டம்: {plan}\nபயன்பாடு: {used}/{limit}{creditsLine}\n\nகட்டளைகள்: START, STATUS, HELP, UPGRADE',
+    ur: '🎨 *بیک گراؤنڈ ریموور*\n\n📊 پلان: {plan}\nاستعمال: {used}/{limit}{creditsLine}\n\nکمانڈز: START, STATUS, HELP, UPGRADE'
+  },
+  credits_line: {
+    en: '\nCredits: {credits}',
+    hi: '\nक्रेडिट: {credits}',
+    ta: '\nகிரெடிட்கள்: {credits}',
+    ur: '\nکریڈٹس: {credits}'
+  },
+  status: {
+    en: '📊 Plan: {plan}\nUsed: {used}/{limit}\nCredits: {credits}',
+    hi: '📊 प्लान: {plan}\nइस्तेमाल: {used}/{limit}\nक्रेडिट: {credits}',
+    ta: '📊 திட்டம்: {plan}\nபயன்பாடு: {used}/{limit}\nகிரெடிட்கள்: {credits}',
+    ur: '📊 پلان: {plan}\nاستعمال: {used}/{limit}\nکریڈٹس: {credits}'
+  },
+  status_active_until: {
+    en: '\nActive until: {date}',
+    hi: '\n{date} तक सक्रिय',
+    ta: '\n{date} வரை செயலில்',
+    ur: '\n{date} تک فعال'
+  },
+  help: {
+    en: '📖 *Commands*\nSTART - Start\nSTATUS - Check usage\nUPGRADE - Go Premium\nBG WHITE / BG #ff0000 / BG BLUR / BG NONE - Set background\nPRESET AMAZON / INSTAGRAM / STICKER / NONE - Output size\nSTICKER / STICKER OFF - Sticker mode\nHISTORY - Your last images\nRESEND <n> - Get one again (free)\nLANGUAGE - Change language\nREF - Invite friends, get free images\nPROMO <code> - Use a promo code\nBACKDROP - Use your next image as background\nCANCEL - Stop the current step\nSend image with caption BACKDROP - Use it as background\nSend image to remove background',
+    hi: '📖 *कमांड*\nSTART - शुरू करें\nSTATUS - इस्तेमाल देखें\nUPGRADE - प्रीमियम लें\nBG WHITE / BG #ff0000 / BG BLUR / BG NONE - बैकग्राउंड चुनें\nPRESET AMAZON / INSTAGRAM / STICKER / NONE - आउटपुट साइज़\nSTICKER / STICKER OFF - स्टिकर मोड\nHISTORY - आपकी पिछली फ़ोटो\nRESEND <n> - दोबारा पाएं (मुफ़्त)\nLANGUAGE - भाषा बदलें\nREF - दोस्तों को बुलाएं, मुफ़्त फ़ोटो पाएं\nPROMO <कोड> - प्रोमो कोड इस्तेमाल करें\nBACKDROP - अगली फ़ोटो को बैकग्राउंड बनाएं\nCANCEL - मौजूदा कदम रोकें\nBACKDROP कैप्शन के साथ फ़ोटो भेजें - उसे बैकग्राउंड बनाएं\nबैकग्राउंड हटाने के लिए फ़ोटो भेजें',
+    ta: '📖 *கட்டளைகள்*\nSTART - தொடங்கு\nSTATUS - பயன்பாட்டைப் பார்\nUPGRADE - பிரீமியம் பெறு\nBG WHITE / BG #ff0000 / BG BLUR / BG NONE - பின்னணியை அமை\nPRESET AMAZON / INSTAGRAM / STICKER / NONE - வெளியீட்டு அளவு\nSTICKER / STICKER OFF - ஸ்டிக்கர் முறை\nHISTORY - உங்கள் சமீபத்திய படங்கள்\nRESEND <n> - மீண்டும் பெறு (இலவசம்)\nLANGUAGE - மொழியை மாற்று\nREF - நண்பர்களை அழை, இலவசப் படங்கள் பெறு\nPROMO <குறியீடு> - விளம்பரக் குறியீட்டைப் பயன்படுத்து\nBACKDROP - அடுத்த படத்தைப் பின்னணியாக்கு\nCANCEL - தற்போதைய படியை நிறுத்து\nBACKDROP தலைப்புடன் படம் அனுப்பு - அதைப் பின்னணியாக்கு\nபின்னணியை நீக்க படம் அனுப்பு',
+    ur: '📖 *کمانڈز*\nSTART - شروع کریں\nSTATUS - استعمال دیکھیں\nUPGRADE - پریمیم لیں\nBG WHITE / BG #ff0000 / BG BLUR / BG NONE - بیک گراؤنڈ منتخب کریں\nPRESET AMAZON / INSTAGRAM / STICKER / NONE - آؤٹ پٹ سائز\nSTICKER / STICKER OFF - اسٹیکر موڈ\nHISTORY - آپ کی پچھلی تصاویر\nRESEND <n> - دوبارہ حاصل کریں (مفت)\nLANGUAGE - زبان تبدیل کریں\nREF - دوستوں کو بلائیں، مفت تصاویر پائیں\nPROMO <کوڈ> - پرومو کوڈ استعمال کریں\nBACKDROP - اگلی تصویر کو بیک گراؤنڈ بنائیں\nCANCEL - موجودہ مرحلہ روکیں\nBACKDROP کیپشن کے ساتھ تصویر بھیجیں - اسے بیک گراؤنڈ بنائیں\nبیک گراؤنڈ ہٹانے کے لیے تصویر بھیجیں'
+  },
+
+  // LANGUAGE
+  language_info: {
+    en: '🌐 Language: {current}\n\nAvailable: {available}\nUse LANGUAGE <name>, e.g. LANGUAGE HINDI',
+    hi: '🌐 भाषा: {current}\n\nउपलब्ध: {available}\nLANGUAGE <नाम> लिखें, जैसे LANGUAGE TAMIL',
+    ta: '🌐 மொழி: {current}\n\nகிடைப்பவை: {available}\nLANGUAGE <பெயர்> பயன்படுத்தவும், எ.கா. LANGUAGE ENGLISH',
+    ur: '🌐 زبان: {current}\n\nدستیاب: {available}\nLANGUAGE <نام> لکھیں، مثلاً LANGUAGE ENGLISH'
+  },
+  language_set: {
+    en: '✅ Language set to English',
+    hi: '✅ भाषा हिन्दी कर दी गई',
+    ta: '✅ மொழி தமிழாக மாற்றப்பட்டது',
+    ur: '✅ زبان اردو کر دی گئی'
+  },
+
+  // PRESET / STICKER
+  preset_info: {
+    en: '📐 Preset: {current}\n\nAvailable: {available}\nUse PRESET <name> or PRESET NONE\nOr send an image with the preset name as caption',
+    hi: '📐 प्रीसेट: {current}\n\nउपलब्ध: {available}\nPRESET <नाम> या PRESET NONE लिखें\nया प्रीसेट के नाम वाले कैप्शन के साथ फ़ोटो भेजें',
+    ta: '📐 முன்னமைவு: {current}\n\nகிடைப்பவை: {available}\nPRESET <பெயர்> அல்லது PRESET NONE பயன்படுத்தவும்\nஅல்லது முன்னமைவுப் பெயரைத் தலைப்பாகக் கொண்டு படம் அனுப்பவும்',
+    ur: '📐 پری سیٹ: {current}\n\nدستیاب: {available}\nPRESET <نام> یا PRESET NONE لکھیں\nیا پری سیٹ کے نام والے کیپشن کے ساتھ تصویر بھیجیں'
+  },
+  preset_none: {
+    en: 'none',
+    hi: 'कोई नहीं',
+    ta: 'எதுவுமில்லை',
+    ur: 'کوئی نہیں'
+  },
+  preset_set: {
+    en: '✅ Preset set to {label} ({width}x{height})',
+    hi: '✅ प्रीसेट {label} ({width}x{height}) कर दिया गया',
+    ta: '✅ முன்னமைவு {label} ({width}x{height}) ஆக அமைக்கப்பட்டது',
+    ur: '✅ پری سیٹ {label} ({width}x{height}) کر دیا گیا'
+  },
+  preset_cleared: {
+    en: '✅ Preset cleared',
+    hi: '✅ प्रीसेट हटा दिया गया',
+    ta: '✅ முன்னமைவு நீக்கப்பட்டது',
+    ur: '✅ پری سیٹ ہٹا دیا گیا'
+  },
+  sticker_on: {
+    en: '✅ Sticker mode on! Send images to get WhatsApp stickers.\n\nSend STICKER OFF to go back to normal.',
+    hi: '✅ स्टिकर मोड चालू! WhatsApp स्टिकर पाने के लिए फ़ोटो भेजें।\n\nवापस सामान्य के लिए STICKER OFF भेजें।',
+    ta: '✅ ஸ்டிக்கர் முறை இயக்கப்பட்டது! WhatsApp ஸ்டிக்கர்களைப் பெற படங்களை அனுப்புங்கள்.\n\nசாதாரண முறைக்குத் திரும்ப STICKER OFF அனுப்புங்கள்.',
+    ur: '✅ اسٹیکر موڈ آن! WhatsApp اسٹیکرز کے لیے تصاویر بھیجیں۔\n\nعام موڈ پر واپس جانے کے لیے STICKER OFF بھیجیں۔'
+  },
+  sticker_off: {
+    en: '✅ Sticker mode off',
+    hi: '✅ स्टिकर मोड बंद',
+    ta: '✅ ஸ்டிக்கர் முறை முடக்கப்பட்டது',
+    ur: '✅ اسٹیکر موڈ بند'
+  },
+
+  // BG / BACKDROP
+  bg_info: {
+    en: '🎨 Background: {current}\n\nUse BG WHITE, BG #ff0000, BG BLUR or BG NONE\nOr send an image with caption BACKDROP',
+    hi: '🎨 बैकग्राउंड: {current}\n\nBG WHITE, BG #ff0000, BG BLUR या BG NONE लिखें\nया BACKDROP कैप्शन के साथ फ़ोटो भेजें',
+    ta: '🎨 பின்னணி: {current}\n\nBG WHITE, BG #ff0000, BG BLUR அல்லது BG NONE பயன்படுத்தவும்\nஅல்லது BACKDROP தலைப்புடன் படம் அனுப்பவும்',
+    ur: '🎨 بیک گراؤنڈ: {current}\n\nBG WHITE، BG #ff0000، BG BLUR یا BG NONE لکھیں\nیا BACKDROP کیپشن کے ساتھ تصویر بھیجیں'
+  },
+  bg_set: {
+    en: '✅ Background set to {current}',
+    hi: '✅ बैकग्राउंड {current} कर दिया गया',
+    ta: '✅ பின்னணி {current} ஆக அமைக்கப்பட்டது',
+    ur: '✅ بیک گراؤنڈ {current} کر دیا گیا'
+  },
+  bg_transparent: {
+    en: 'transparent',
+    hi: 'पारदर्शी',
+    ta: 'ஒளிபுகும்',
+    ur: 'شفاف'
+  },
+  bg_color: {
+    en: 'colour {color}',
+    hi: 'रंग {color}',
+    ta: 'நிறம் {color}',
+    ur: 'رنگ {color}'
+  },
+  bg_blur: {
+    en: 'blurred original',
+    hi: 'धुंधली मूल फ़ोटो',
+    ta: 'மங்கலான அசல் படம்',
+    ur: 'دھندلی اصل تصویر'
+  },
+  bg_image: {
+    en: 'custom backdrop',
+    hi: 'आपकी अपनी फ़ोटो',
+    ta: 'உங்கள் சொந்தப் பின்னணி',
+    ur: 'آپ کی اپنی تصویر'
+  },
+  backdrop_prompt: {
+    en: '🖼️ Send the image you want as your background.\n\nSend CANCEL to stop.',
+    hi: '🖼️ जिस फ़ोटो को बैकग्राउंड बनाना है, वह भेजें।\n\nरोकने के लिए CANCEL भेजें।',
+    ta: '🖼️ பின்னணியாக வேண்டிய படத்தை அனுப்புங்கள்.\n\nநிறுத்த CANCEL அனுப்புங்கள்.',
+    ur: '🖼️ جس تصویر کو بیک گراؤنڈ بنانا ہے، وہ بھیجیں۔\n\nروکنے کے لیے CANCEL بھیجیں۔'
+  },
+  backdrop_saved: {
+    en: '🖼️ Backdrop saved!\n\nYour next images will be placed on it. Send BG NONE to go back to transparent.',
+    hi: '🖼️ बैकग्राउंड फ़ोटो सेव हो गई!\n\nआपकी अगली फ़ोटो इसी पर लगेंगी। पारदर्शी के लिए BG NONE भेजें।',
+    ta: '🖼️ பின்னணிப் படம் சேமிக்கப்பட்டது!\n\nஉங்கள் அடுத்த படங்கள் இதன் மேல் வைக்கப்படும். ஒளிபுகும் நிலைக்குத் திரும்ப BG NONE அனுப்புங்கள்.',
+    ur: '🖼️ بیک گراؤنڈ تصویر محفوظ ہو گئی!\n\nآپ کی اگلی تصاویر اسی پر لگیں گی۔ شفاف کے لیے BG NONE بھیجیں۔'
+  },
+  backdrop_failed: {
+    en: '❌ Could not save backdrop. Please try another image.',
+    hi: '❌ बैकग्राउंड फ़ोटो सेव नहीं हो सकी। कृपया दूसरी फ़ोटो आज़माएं।',
+    ta: '❌ பின்னணிப் படத்தைச் சேமிக்க முடியவில்லை. வேறு படத்தை முயற்சிக்கவும்.',
+    ur: '❌ بیک گراؤنڈ تصویر محفوظ نہیں ہو سکی۔ براہ کرم دوسری تصویر آزمائیں۔'
+  },
+
+  // HISTORY / RESEND
+  history_empty: {
+    en: '🕘 No images yet. Send one to get started!',
+    hi: '🕘 अभी तक कोई फ़ोटो नहीं। शुरू करने के लिए एक भेजें!',
+    ta: '🕘 இன்னும் படங்கள் இல்லை. தொடங்க ஒன்றை அனுப்புங்கள்!',
+    ur: '🕘 ابھی تک کوئی تصویر نہیں۔ شروع کرنے کے لیے ایک بھیجیں!'
+  },
+  history: {
+    en: '🕘 *Your last {count} images*\n\n{lines}\n\nReply RESEND <number> to get one again (free)',
+    hi: '🕘 *आपकी पिछली {count} फ़ोटो*\n\n{lines}\n\nकोई फ़ोटो दोबारा पाने के लिए RESEND <नंबर> लिखें (मुफ़्त)',
+    ta: '🕘 *உங்கள் கடைசி {count} படங்கள்*\n\n{lines}\n\nஒன்றை மீண்டும் பெற RESEND <எண்> என பதிலளிக்கவும் (இலவசம்)',
+    ur: '🕘 *آپ کی پچھلی {count} تصاویر*\n\n{lines}\n\nکوئی تصویر دوبارہ حاصل کرنے کے لیے RESEND <نمبر> لکھیں (مفت)'
+  },
+  history_failed: {
+    en: '❌ Failed',
+    hi: '❌ विफल',
+    ta: '❌ தோல்வி',
+    ur: '❌ ناکام'
+  },
+  history_deleted: {
+    en: '🗑️ Deleted after {days} days',
+    hi: '🗑️ {days} दिन बाद हटा दी गई',
+    ta: '🗑️ {days} நாட்களுக்குப் பின் நீக்கப்பட்டது',
+    ur: '🗑️ {days} دن بعد حذف کر دی گئی'
+  },
+  history_file_missing: {
+    en: '(file missing)',
+    hi: '(फ़ाइल नहीं मिली)',
+    ta: '(கோப்பு இல்லை)',
+    ur: '(فائل موجود نہیں)'
+  },
+  resend_missing: {
+    en: '❌ No image #{n}. Send HISTORY to see your images.',
+    hi: '❌ फ़ोटो #{n} नहीं मिली। अपनी फ़ोटो देखने के लिए HISTORY भेजें।',
+    ta: '❌ படம் #{n} இல்லை. உங்கள் படங்களைப் பார்க்க HISTORY அனுப்புங்கள்.',
+    ur: '❌ تصویر #{n} نہیں ملی۔ اپنی تصاویر دیکھنے کے لیے HISTORY بھیجیں۔'
+  },
+  resend_failed: {
+    en: '❌ Image #{n} failed, nothing to resend. Please send it again.',
+    hi: '❌ फ़ोटो #{n} विफल रही थी, दोबारा भेजने को कुछ नहीं। कृपया उसे फिर से भेजें।',
+    ta: '❌ படம் #{n} தோல்வியடைந்தது, மீண்டும் அனுப்ப எதுவும் இல்லை. தயவுசெய்து அதை மீண்டும் அனுப்புங்கள்.',
+    ur: '❌ تصویر #{n} ناکام رہی تھی، دوبارہ بھیجنے کو کچھ نہیں۔ براہ کرم اسے پھر سے بھیجیں۔'
+  },
+  resend_deleted: {
+    en: '🗑️ Image #{n} was deleted after {days} days. Please send it again.',
+    hi: '🗑️ फ़ोटो #{n} {days} दिन बाद हटा दी गई। कृपया उसे फिर से भेजें।',
+    ta: '🗑️ படம் #{n} {days} நாட்களுக்குப் பின் நீக்கப்பட்டது. தயவுசெய்து அதை மீண்டும் அனுப்புங்கள்.',
+    ur: '🗑️ تصویر #{n} {days} دن بعد حذف کر دی گئی۔ براہ کرم اسے پھر سے بھیجیں۔'
+  },
+  resent: {
+    en: '🔁 Resent from {date}',
+    hi: '🔁 {date} की फ़ोटो दोबारा भेजी गई',
+    ta: '🔁 {date} அன்றைய படம் மீண்டும் அனுப்பப்பட்டது',
+    ur: '🔁 {date} کی تصویر دوبارہ بھیجی گئی'
+  },
+
+  // REF / PROMO
+  status_referral: {
+    en: '\n\n🎁 Referral code: {code} ({count} friends joined)\nSend REF to share it',
+    hi: '\n\n🎁 रेफ़रल कोड: {code} ({count} दोस्त जुड़े)\nशेयर करने के लिए REF भेजें',
+    ta: '\n\n🎁 பரிந்துரைக் குறியீடு: {code} ({count} நண்பர்கள் இணைந்தனர்)\nபகிர REF அனுப்புங்கள்',
+    ur: '\n\n🎁 ریفرل کوڈ: {code} ({count} دوست شامل ہوئے)\nشیئر کرنے کے لیے REF بھیجیں'
+  },
+  status_promo: {
+    en: '\n🎟️ Promo: {code} ({percent}% off your next purchase)',
+    hi: '\n🎟️ प्रोमो: {code} (अगली खरीद पर {percent}% छूट)',
+    ta: '\n🎟️ விளம்பரக் குறியீடு: {code} (அடுத்த வாங்குதலில் {percent}% தள்ளுபடி)',
+    ur: '\n🎟️ پرومو: {code} (اگلی خریداری پر {percent}% رعایت)'
+  },
+  ref_info: {
+    en: '🎁 Your referral code: *{code}*\n\nFriends who are new here and send REF {code} get {bonus} free images, and so do you.\n\n{count} friends joined so far',
+    hi: '🎁 आपका रेफ़रल कोड: *{code}*\n\nजो नए दोस्त REF {code} भेजेंगे, उन्हें और आपको {bonus} मुफ़्त फ़ोटो मिलेंगी।\n\nअब तक {count} दोस्त जुड़े',
+    ta: '🎁 உங்கள் பரிந்துரைக் குறியீடு: *{code}*\n\nREF {code} அனுப்பும் புதிய நண்பர்களுக்கும் உங்களுக்கும் {bonus} இலவசப் படங்கள் கிடைக்கும்.\n\nஇதுவரை {count} நண்பர்கள் இணைந்தனர்',
+    ur: '🎁 آپ کا ریفرل کوڈ: *{code}*\n\nجو نئے دوست REF {code} بھیجیں گے، انہیں اور آپ کو {bonus} مفت تصاویر ملیں گی۔\n\nاب تک {count} دوست شامل ہوئے'
+  },
+  ref_applied: {
+    en: '🎉 Referral applied! {bonus} free images added.\nYou now have {credits} credits',
+    hi: '🎉 रेफ़रल लागू हो गया! {bonus} मुफ़्त फ़ोटो जोड़ी गईं।\nअब आपके पास {credits} क्रेडिट हैं',
+    ta: '🎉 பரிந்துரை ஏற்கப்பட்டது! {bonus} இலவசப் படங்கள் சேர்க்கப்பட்டன.\nஇப்போது உங்களிடம் {credits} கிரெடிட்கள் உள்ளன',
+    ur: '🎉 ریفرل لاگو ہو گیا! {bonus} مفت تصاویر شامل کر دی گئیں۔\nاب آپ کے پاس {credits} کریڈٹس ہیں'
+  },
+  ref_pending: {
+    en: '🎁 Referral code saved! You and your friend each get {bonus} free images once your first image is done.',
+    hi: '🎁 रेफ़रल कोड सेव हो गया! आपकी पहली फ़ोटो तैयार होते ही आपको और आपके दोस्त को {bonus}-{bonus} मुफ़्त फ़ोटो मिलेंगी।',
+    ta: '🎁 பரிந்துரைக் குறியீடு சேமிக்கப்பட்டது! உங்கள் முதல் படம் முடிந்ததும் உங்களுக்கும் உங்கள் நண்பருக்கும் தலா {bonus} இலவசப் படங்கள் கிடைக்கும்.',
+    ur: '🎁 ریفرل کوڈ محفوظ ہو گیا! آپ کی پہلی تصویر تیار ہوتے ہی آپ کو اور آپ کے دوست کو {bonus}-{bonus} مفت تصاویر ملیں گی۔'
+  },
+  ref_referrer_bonus: {
+    en: '🎁 A friend joined with your referral code! {bonus} free images added.',
+    hi: '🎁 एक दोस्त आपके रेफ़रल कोड से जुड़ा! {bonus} मुफ़्त फ़ोटो जोड़ी गईं।',
+    ta: '🎁 ஒரு நண்பர் உங்கள் பரிந்துரைக் குறியீட்டுடன் இணைந்தார்! {bonus} இலவசப் படங்கள் சேர்க்கப்பட்டன.',
+    ur: '🎁 ایک دوست آپ کے ریفرل کوڈ سے شامل ہوا! {bonus} مفت تصاویر شامل کر دی گئیں۔'
+  },
+  ref_invalid: {
+    en: '❌ That referral code doesn\'t exist',
+    hi: '❌ यह रेफ़रल कोड मौजूद नहीं है',
+    ta: '❌ அந்தப் பரிந்துரைக் குறியீடு இல்லை',
+    ur: '❌ یہ ریفرل کوڈ موجود نہیں ہے'
+  },
+  ref_own: {
+    en: '❌ You can\'t use your own referral code',
+    hi: '❌ आप अपना ही रेफ़रल कोड इस्तेमाल नहीं कर सकते',
+    ta: '❌ உங்கள் சொந்தப் பரிந்துரைக் குறியீட்டைப் பயன்படுத்த முடியாது',
+    ur: '❌ آپ اپنا ہی ریفرل کوڈ استعمال نہیں کر سکتے'
+  },
+  ref_already: {
+    en: '❌ You have already used a referral code',
+    hi: '❌ आप पहले ही एक रेफ़रल कोड इस्तेमाल कर चुके हैं',
+    ta: '❌ நீங்கள் ஏற்கனவே ஒரு பரிந்துரைக் குறியீட்டைப் பயன்படுத்திவிட்டீர்கள்',
+    ur: '❌ آپ پہلے ہی ایک ریفرل کوڈ استعمال کر چکے ہیں'
+  },
+  ref_too_late: {
+    en: '❌ Referral codes only work in your first {days} days',
+    hi: '❌ रेफ़रल कोड सिर्फ़ आपके पहले {days} दिनों में काम करते हैं',
+    ta: '❌ பரிந்துரைக் குறியீடுகள் உங்கள் முதல் {days} நாட்களில் மட்டுமே செல்லும்',
+    ur: '❌ ریفرل کوڈ صرف آپ کے پہلے {days} دنوں میں کام کرتے ہیں'
+  },
+  promo_info: {
+    en: '🎟️ Have a promo code? Send PROMO <code> and it will be applied to your next purchase',
+    hi: '🎟️ प्रोमो कोड है? PROMO <कोड> भेजें, वह आपकी अगली खरीद पर लागू होगा',
+    ta: '🎟️ விளம்பரக் குறியீடு உள்ளதா? PROMO <குறியீடு> அனுப்புங்கள், அது உங்கள் அடுத்த வாங்குதலில் பயன்படுத்தப்படும்',
+    ur: '🎟️ پرومو کوڈ ہے؟ PROMO <کوڈ> بھیجیں، وہ آپ کی اگلی خریداری پر لاگو ہوگا'
+  },
+  promo_saved: {
+    en: '🎟️ Promo {code} saved: {percent}% off your next purchase.\n\nSend UPGRADE to buy',
+    hi: '🎟️ प्रोमो {code} सेव हो गया: अगली खरीद पर {percent}% छूट।\n\nखरीदने के लिए UPGRADE भेजें',
+    ta: '🎟️ விளம்பரக் குறியீடு {code} சேமிக்கப்பட்டது: அடுத்த வாங்குதலில் {percent}% தள்ளுபடி.\n\nவாங்க UPGRADE அனுப்புங்கள்',
+    ur: '🎟️ پرومو {code} محفوظ ہو گیا: اگلی خریداری پر {percent}% رعایت۔\n\nخریدنے کے لیے UPGRADE بھیجیں'
+  },
+  promo_invalid: {
+    en: '❌ That promo code doesn\'t exist',
+    hi: '❌ यह प्रोमो कोड मौजूद नहीं है',
+    ta: '❌ அந்த விளம்பரக் குறியீடு இல்லை',
+    ur: '❌ یہ پرومو کوڈ موجود نہیں ہے'
+  },
+  promo_expired: {
+    en: '❌ That promo code has expired',
+    hi: '❌ यह प्रोमो कोड खत्म हो चुका है',
+    ta: '❌ அந்த விளம்பரக் குறியீடு காலாவதியாகிவிட்டது',
+    ur: '❌ اس پرومو کوڈ کی میعاد ختم ہو چکی ہے'
+  },
+  promo_used_up: {
+    en: '❌ That promo code has been fully used',
+    hi: '❌ यह प्रोमो कोड पूरी तरह इस्तेमाल हो चुका है',
+    ta: '❌ அந்த விளம்பரக் குறியீடு முழுமையாகப் பயன்படுத்தப்பட்டுவிட்டது',
+    ur: '❌ یہ پرومو کوڈ پوری طرح استعمال ہو چکا ہے'
+  },
+  promo_already_used: {
+    en: '❌ You have already used that promo code',
+    hi: '❌ आप यह प्रोमो कोड पहले ही इस्तेमाल कर चुके हैं',
+    ta: '❌ நீங்கள் ஏற்கனவே அந்த விளம்பரக் குறியீட்டைப் பயன்படுத்திவிட்டீர்கள்',
+    ur: '❌ آپ یہ پرومو کوڈ پہلے ہی استعمال کر چکے ہیں'
+  },
+
+  // UPGRADE / payments
+  upgrade_plan: {
+    en: '⭐ {name}: {price}/month - {quota} images/month',
+    hi: '⭐ {name}: {price}/महीना - {quota} फ़ोटो/महीना',
+    ta: '⭐ {name}: {price}/மாதம் - {quota} படங்கள்/மாதம்',
+    ur: '⭐ {name}: {price}/ماہ - {quota} تصاویر/ماہ'
+  },
+  upgrade_packs: {
+    en: '💳 *Credit packs* (never expire)',
+    hi: '💳 *क्रेडिट पैक* (कभी खत्म नहीं होते)',
+    ta: '💳 *கிரெடிட் தொகுப்புகள்* (காலாவதியாகாது)',
+    ur: '💳 *کریڈٹ پیک* (کبھی ختم نہیں ہوتے)'
+  },
+  upgrade_footer: {
+    en: 'Reply with a number to choose, or CONFIRM to see all options',
+    hi: 'चुनने के लिए नंबर लिखें, या सभी विकल्प देखने के लिए CONFIRM लिखें',
+    ta: 'தேர்வு செய்ய ஒரு எண்ணை அனுப்புங்கள், அல்லது அனைத்து விருப்பங்களையும் பார்க்க CONFIRM அனுப்புங்கள்',
+    ur: 'منتخب کرنے کے لیے نمبر لکھیں، یا تمام آپشنز دیکھنے کے لیے CONFIRM لکھیں'
+  },
+  payments_not_configured: {
+    en: '❌ Payments not configured',
+    hi: '❌ भुगतान अभी उपलब्ध नहीं है',
+    ta: '❌ பணம் செலுத்துதல் இப்போது கிடைக்கவில்லை',
+    ur: '❌ ادائیگی ابھی دستیاب نہیں ہے'
+  },
+  pay_link: {
+    en: '💳 Pay here:\n{url}\n\nAfter payment, reply VERIFY',
+    hi: '💳 यहां भुगतान करें:\n{url}\n\nभुगतान के बाद VERIFY लिखें',
+    ta: '💳 இங்கே பணம் செலுத்துங்கள்:\n{url}\n\nபணம் செலுத்திய பின் VERIFY என பதிலளிக்கவும்',
+    ur: '💳 یہاں ادائیگی کریں:\n{url}\n\nادائیگی کے بعد VERIFY لکھیں'
+  },
+  pay_link_item: {
+    en: '💳 {name} - {price}\n\nPay here:\n{url}\n\nAfter payment, reply VERIFY',
+    hi: '💳 {name} - {price}\n\nयहां भुगतान करें:\n{url}\n\nभुगतान के बाद VERIFY लिखें',
+    ta: '💳 {name} - {price}\n\nஇங்கே பணம் செலுத்துங்கள்:\n{url}\n\nபணம் செலுத்திய பின் VERIFY என பதிலளிக்கவும்',
+    ur: '💳 {name} - {price}\n\nیہاں ادائیگی کریں:\n{url}\n\nادائیگی کے بعد VERIFY لکھیں'
+  },
+  payment_verified: {
+    en: '✅ *Payment Verified!*\n\nPlan: {plan} 🎉\n{remaining} images available\n\nStart sending images!',
+    hi: '✅ *भुगतान की पुष्टि हो गई!*\n\nप्लान: {plan} 🎉\n{remaining} फ़ोटो उपलब्ध\n\nफ़ोटो भेजना शुरू करें!',
+    ta: '✅ *பணம் செலுத்தல் உறுதிசெய்யப்பட்டது!*\n\nதிட்டம்: {plan} 🎉\n{remaining} படங்கள் கிடைக்கின்றன\n\nபடங்களை அனுப்பத் தொடங்குங்கள்!',
+    ur: '✅ *ادائیگی کی تصدیق ہو گئی!*\n\nپلان: {plan} 🎉\n{remaining} تصاویر دستیاب\n\nتصاویر بھیجنا شروع کریں!'
+  },
+  payment_pending: {
+    en: '⏳ Payment still processing. Try again in a moment.\n\nOr send UPGRADE to try again.',
+    hi: '⏳ भुगतान अभी प्रोसेस हो रहा है। थोड़ी देर में फिर कोशिश करें।\n\nया दोबारा कोशिश के लिए UPGRADE भेजें।',
+    ta: '⏳ பணம் செலுத்தல் இன்னும் செயலாக்கத்தில் உள்ளது. சிறிது நேரத்தில் மீண்டும் முயற்சிக்கவும்.\n\nஅல்லது மீண்டும் முயற்சிக்க UPGRADE அனுப்புங்கள்.',
+    ur: '⏳ ادائیگی ابھی جاری ہے۔ تھوڑی دیر میں دوبارہ کوشش کریں۔\n\nیا دوبارہ کوشش کے لیے UPGRADE بھیجیں۔'
+  },
+  payment_credits: {
+    en: '✅ *Payment Successful!*\n\n{added} credits added 🎉\nYou now have {credits} credits (they never expire)',
+    hi: '✅ *भुगतान सफल!*\n\n{added} क्रेडिट जोड़े गए 🎉\nअब आपके पास {credits} क्रेडिट हैं (ये कभी खत्म नहीं होते)',
+    ta: '✅ *பணம் செலுத்தல் வெற்றி!*\n\n{added} கிரெடிட்கள் சேர்க்கப்பட்டன 🎉\nஇப்போது உங்களிடம் {credits} கிரெடிட்கள் உள்ளன (அவை காலாவதியாகாது)',
+    ur: '✅ *ادائیگی کامیاب!*\n\n{added} کریڈٹس شامل کر دیے گئے 🎉\nاب آپ کے پاس {credits} کریڈٹس ہیں (یہ کبھی ختم نہیں ہوتے)'
+  },
+  payment_plan: {
+    en: '✅ *Payment Successful!*\n\nYou are now {plan} until {date} 🎉\n\n{quota} images/month available',
+    hi: '✅ *भुगतान सफल!*\n\nअब आप {date} तक {plan} हैं 🎉\n\nहर महीने {quota} फ़ोटो उपलब्ध',
+    ta: '✅ *பணம் செலுத்தல் வெற்றி!*\n\nநீங்கள் இப்போது {date} வரை {plan} 🎉\n\nமாதத்திற்கு {quota} படங்கள் கிடைக்கும்',
+    ur: '✅ *ادائیگی کامیاب!*\n\nاب آپ {date} تک {plan} ہیں 🎉\n\nہر ماہ {quota} تصاویر دستیاب'
+  },
+  subscription_active: {
+    en: '✅ *{plan} active!*\n\nRenews on {date} 🎉\n\n{quota} images/month available',
+    hi: '✅ *{plan} सक्रिय!*\n\n{date} को रिन्यू होगा 🎉\n\nहर महीने {quota} फ़ोटो उपलब्ध',
+    ta: '✅ *{plan} செயலில் உள்ளது!*\n\n{date} அன்று புதுப்பிக்கப்படும் 🎉\n\nமாதத்திற்கு {quota} படங்கள் கிடைக்கும்',
+    ur: '✅ *{plan} فعال!*\n\n{date} کو تجدید ہوگی 🎉\n\nہر ماہ {quota} تصاویر دستیاب'
+  },
+  subscription_cancelled: {
+    en: 'ℹ️ Subscription cancelled.\n\nYour plan stays active until {date}.',
+    hi: 'ℹ️ सब्सक्रिप्शन रद्द कर दिया गया।\n\nआपका प्लान {date} तक सक्रिय रहेगा।',
+    ta: 'ℹ️ சந்தா ரத்து செய்யப்பட்டது.\n\nஉங்கள் திட்டம் {date} வரை செயலில் இருக்கும்.',
+    ur: 'ℹ️ سبسکرپشن منسوخ کر دی گئی۔\n\nآپ کا پلان {date} تک فعال رہے گا۔'
+  },
+  subscription_halted: {
+    en: '⚠️ We couldn\'t renew your subscription. Please check your payment method.',
+    hi: '⚠️ हम आपका सब्सक्रिप्शन रिन्यू नहीं कर सके। कृपया अपना भुगतान तरीका जांचें।',
+    ta: '⚠️ உங்கள் சந்தாவைப் புதுப்பிக்க முடியவில்லை. உங்கள் பணம் செலுத்தும் முறையைச் சரிபார்க்கவும்.',
+    ur: '⚠️ ہم آپ کی سبسکرپشن کی تجدید نہیں کر سکے۔ براہ کرم اپنا ادائیگی کا طریقہ چیک کریں۔'
+  },
+  refund_credits: {
+    en: '↩️ Your payment was refunded and {credits} credits were removed.',
+    hi: '↩️ आपका भुगतान वापस कर दिया गया और {credits} क्रेडिट हटा दिए गए।',
+    ta: '↩️ உங்கள் பணம் திருப்பி அளிக்கப்பட்டது, {credits} கிரெடிட்கள் நீக்கப்பட்டன.',
+    ur: '↩️ آپ کی ادائیگی واپس کر دی گئی اور {credits} کریڈٹس ہٹا دیے گئے۔'
+  },
+  refund_plan: {
+    en: '↩️ Your payment was refunded and your plan is now Free.',
+    hi: '↩️ आपका भुगतान वापस कर दिया गया और अब आपका प्लान Free है।',
+    ta: '↩️ உங்கள் பணம் திருப்பி அளிக்கப்பட்டது, உங்கள் திட்டம் இப்போது Free.',
+    ur: '↩️ آپ کی ادائیگی واپس کر دی گئی اور اب آپ کا پلان Free ہے۔'
+  }
+};
+
+// Render a message in the given language, filling {placeholders} from vars
+function t(language, key, vars = {}) {
+  const entry = MESSAGES[key];
+  if (!entry) throw new Error(`Unknown message: ${key}`);
+  const template = entry[language] || entry[DEFAULT_LANGUAGE];
+  return template.replace(/\{(\w+)\}/g, (match, name) => (vars[name] !== undefined && vars[name] !== null ? String(vars[name]) : match));
+}
+
+// Language code from a code, English name or native name ('hi', 'hindi', 'हिन्दी'), or null
+function findLanguage(value) {
+  const wanted = (value || '').trim().toLowerCase();
+  if (!wanted) return null;
+  if (LANGUAGES[wanted]) return wanted;
+  return Object.keys(LANGUAGES).find(code => LANGUAGES[code].aliases.includes(wanted)) || null;
+}
+
+// Romanised greetings people commonly open with
+const GREETINGS = {
+  hi: ['namaste', 'namaskar', 'kaise ho', 'kya haal'],
+  ta: ['vanakkam', 'vannakam', 'epdi irukeenga'],
+  ur: ['salaam', 'salam', 'assalam', 'assalamualaikum', 'aoa', 'adaab']
+};
+
+// Best guess at a language from free text: the script first, then common romanised greetings
+function detectLanguage(text) {
+  if (!text) return null;
+  if (/[ऀ-ॿ]/.test(text)) return 'hi';
+  if (/[஀-௿]/.test(text)) return 'ta';
+  if (/[؀-ۿ]/.test(text)) return 'ur';
+  const lower = text.toLowerCase();
+  return Object.keys(GREETINGS).find(code => GREETINGS[code].some(word => new RegExp(`\\b${word}\\b`).test(lower))) || null;
+}
+
+module.exports = { LANGUAGES, DEFAULT_LANGUAGE, MESSAGES, t, findLanguage, detectLanguage };
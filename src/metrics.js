@@ -0,0 +1,92 @@
+// Prometheus metrics, served on /metrics. Everything is prefixed bgr_ (plus Node's default
+// process metrics). Labels are kept to small fixed sets - never a phone number or job id.
+
+const client = require('prom-client');
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: 'bgr_' });
+
+const httpRequestDuration = new client.Histogram({
+  name: 'bgr_http_request_duration_seconds',
+  help: 'HTTP request duration by route and status',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+const imagesProcessed = new client.Counter({
+  name: 'bgr_images_processed_total',
+  help: 'Images finished by the job queue, by channel and outcome (completed, cached, failed)',
+  labelNames: ['channel', 'outcome'],
+  registers: [register]
+});
+
+const providerDuration = new client.Histogram({
+  name: 'bgr_provider_request_duration_seconds',
+  help: 'Background removal provider latency (remove.bg, local model)',
+  labelNames: ['provider', 'outcome'],
+  buckets: [0.25, 0.5, 1, 2, 4, 8, 15, 30, 60],
+  registers: [register]
+});
+
+const providerErrors = new client.Counter({
+  name: 'bgr_provider_errors_total',
+  help: 'Background removal provider failures, by provider and HTTP status (or "error")',
+  labelNames: ['provider', 'status'],
+  registers: [register]
+});
+
+const quotaRejections = new client.Counter({
+  name: 'bgr_quota_rejections_total',
+  help: 'Images turned away because the user had no quota or credits left',
+  labelNames: ['channel'],
+  registers: [register]
+});
+
+const rateLimited = new client.Counter({
+  name: 'bgr_rate_limited_total',
+  help: 'Numbers temporarily blocked for going over a rate limit, by limit (messages, images)',
+  labelNames: ['channel', 'kind'],
+  registers: [register]
+});
+
+const budgetRejections = new client.Counter({
+  name: 'bgr_budget_rejections_total',
+  help: 'Free-tier images turned away because the remove.bg budget was used up',
+  labelNames: ['channel'],
+  registers: [register]
+});
+
+const payments = new client.Counter({
+  name: 'bgr_payments_total',
+  help: 'Payments applied to an account (plan or credits granted), by source (checkout, webhook)',
+  labelNames: ['source'],
+  registers: [register]
+});
+
+const refunds = new client.Counter({
+  name: 'bgr_refunds_total',
+  help: 'Refunds applied to user balances',
+  registers: [register]
+});
+
+// Refreshed by /metrics just before each scrape
+const jobsQueued = new client.Gauge({
+  name: 'bgr_jobs_queued',
+  help: 'Jobs waiting in the queue',
+  registers: [register]
+});
+
+module.exports = {
+  register,
+  httpRequestDuration,
+  imagesProcessed,
+  providerDuration,
+  providerErrors,
+  quotaRejections,
+  rateLimited,
+  budgetRejections,
+  payments,
+  refunds,
+  jobsQueued
+};
@@ -0,0 +1,73 @@
+// Express middleware: request ids and access logging, admin and API key auth.
+
+const crypto = require('crypto');
+const { ADMIN_SECRET } = require('./config');
+const { log, withContext } = require('./logger');
+const metrics = require('./metrics');
+const { ApiKey } = require('./models');
+const { safeEqual } = require('./utils');
+const { getUserData } = require('./services/users');
+const { hashApiKey } = require('./services/apiKeys');
+
+// Every request gets an id (or keeps the caller's X-Request-Id); everything logged while handling
+// it - including jobs it queues - carries that id. Health and metrics scrapes aren't access-logged.
+const QUIET_PATHS = ['/healthz', '/readyz', '/metrics'];
+
+function requestContext(req, res, next) {
+  const requestId = (req.get('X-Request-Id') || '').slice(0, 64) || crypto.randomUUID();
+  res.set('X-Request-Id', requestId);
+  const startedAt = process.hrtime.bigint();
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    // the route pattern, not the path - paths carry file tokens and phone numbers
+    const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+    metrics.httpRequestDuration.observe({ method: req.method, route, status: res.statusCode }, seconds);
+    if (!QUIET_PATHS.includes(req.path)) {
+      log.info('Request', { requestId, method: req.method, route, status: res.statusCode, ms: Math.round(seconds * 1000) });
+    }
+  });
+  withContext({ requestId }, next);
+}
+
+// Admin-only routes: X-Admin-Secret header, or Basic auth (any user, ADMIN_SECRET as password) so
+// the /admin page works in a browser. Routes are closed if ADMIN_SECRET is unset.
+// The browser sends Basic auth along with any other site's form post, so changes made with it
+// have to be JSON - a cross-site form can't send that without a CORS preflight we never allow.
+function requireAdmin(req, res, next) {
+  const basic = (req.get('Authorization') || '').match(/^Basic (.+)$/);
+  const password = basic ? Buffer.from(basic[1], 'base64').toString().split(':').slice(1).join(':') : null;
+  const header = req.get('X-Admin-Secret');
+  const provided = header || password;
+  if (!ADMIN_SECRET || !safeEqual(provided, ADMIN_SECRET)) {
+    res.set('WWW-Authenticate', 'Basic realm="admin"');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  if (!header && !['GET', 'HEAD'].includes(req.method) && !req.is('application/json')) {
+    return res.status(415).json({ error: 'Send JSON or the X-Admin-Secret header' });
+  }
+  next();
+}
+
+// Public API auth: "Authorization: Bearer <key>" or X-Api-Key. Sets req.apiKey and req.user.
+async function requireApiKey(req, res, next) {
+  try {
+    const bearer = (req.get('Authorization') || '').match(/^Bearer (.+)$/);
+    const key = req.get('X-Api-Key') || (bearer && bearer[1]);
+    const apiKey = key ? await ApiKey.findOne({ keyHash: hashApiKey(key.trim()), active: true }) : null;
+    if (!apiKey) return res.status(401).json({ error: 'Invalid API key' });
+
+    const user = await getUserData(apiKey.phoneNumber);
+    if (!user) return res.status(500).json({ error: 'Account unavailable' });
+    if (user.blocked) return res.status(403).json({ error: 'Account blocked' });
+
+    ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date() } }).catch(() => {});
+    req.apiKey = apiKey;
+    req.user = user;
+    next();
+  } catch (error) {
+    log.error('API auth error', { err: error });
+    res.status(500).json({ error: error.message });
+  }
+}
+
+module.exports = { requestContext, requireAdmin, requireApiKey };
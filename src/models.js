@@ -0,0 +1,300 @@
+// Mongoose schemas and models. Every account - WhatsApp number or Telegram chat - is a User keyed
+// by phoneNumber; everything else (jobs, results, orders, payments, API keys) hangs off that key.
+
+const mongoose = require('mongoose');
+const { LANGUAGES } = require('./messages');
+const { RATE_LIMIT_WINDOW_SECONDS } = require('./config');
+
+const userSchema = new mongoose.Schema({
+  phoneNumber: { type: String, unique: true, required: true },
+  // code of the user's Plan ('free', 'premium', ...)
+  tier: { type: String, default: 'free' },
+  imagesProcessed: { type: Number, default: 0 },
+  // prepaid credits from packs - used once the monthly quota is spent, never expire
+  credits: { type: Number, default: 0 },
+  subscriptionId: { type: String, default: null },
+  subscriptionStatus: {
+    type: String,
+    enum: ['none', 'created', 'authenticated', 'active', 'pending', 'halted', 'cancelled', 'completed', 'expired'],
+    default: 'none'
+  },
+  premiumUntil: { type: Date, default: null },
+  lastPaymentId: { type: String, default: null },
+  // set from the admin API - blocked numbers get no replies and no processing
+  blocked: { type: Boolean, default: false },
+  blockedReason: { type: String, default: null },
+  blockedAt: { type: Date, default: null },
+  // temporary block (rate limit or admin) - same as blocked until this time passes
+  blockedUntil: { type: Date, default: null },
+  background: {
+    mode: { type: String, enum: ['transparent', 'color', 'blur', 'image'], default: 'transparent' },
+    color: { type: String, default: null },
+    // legacy backdrops are a Cloudinary URL; newer ones are a key on a storage backend
+    imageUrl: { type: String, default: null },
+    imageKey: { type: String, default: null },
+    imageStorage: { type: String, default: null },
+    // retention deletes a backdrop RETENTION_DAYS after it was sent
+    uploadedAt: { type: Date, default: null }
+  },
+  outputPreset: { type: String, default: null },
+  // own code to share, and the number of whoever referred this user
+  referralCode: { type: String, default: null },
+  referredBy: { type: String, default: null },
+  referralCount: { type: Number, default: 0 },
+  // Telegram referrals: both bonuses wait for this account's first processed image
+  referralBonusPending: { type: Boolean, default: false },
+  // promo code saved with PROMO, applied to the next one-off order
+  promoCode: { type: String, default: null },
+  // Channel the user last wrote from - replies and notifications go there. phoneNumber is the
+  // account key: the E.164 number on WhatsApp (Twilio or Cloud API alike), tg<chat id> on Telegram.
+  channel: { type: String, enum: ['twilio', 'whatsapp_cloud', 'telegram', 'mock'], default: 'twilio' },
+  // reply language; null until detected from the first text message or set with LANGUAGE
+  language: { type: String, enum: Object.keys(LANGUAGES), default: null },
+  // pending multi-step flow, see conversationHandlers
+  conversation: {
+    state: { type: String, default: null },
+    data: { type: mongoose.Schema.Types.Mixed, default: null },
+    expiresAt: { type: Date, default: null }
+  },
+  resetDate: { type: Date, default: () => new Date(new Date().getFullYear(), new Date().getMonth() + 1, 1) },
+  createdAt: { type: Date, default: Date.now }
+});
+
+userSchema.index({ referralCode: 1 }, { unique: true, partialFilterExpression: { referralCode: { $type: 'string' } } });
+
+const User = mongoose.model('User', userSchema);
+
+// Subscription tiers. price is in the smallest currency unit (paise), like Razorpay amounts.
+const planSchema = new mongoose.Schema({
+  code: { type: String, unique: true, required: true },
+  name: { type: String, required: true },
+  monthlyQuota: { type: Number, required: true },
+  price: { type: Number, default: 0 },
+  currency: { type: String, default: 'INR' },
+  // Razorpay plan to subscribe to; without one the plan is sold as a one-off 30-day order
+  razorpayPlanId: { type: String, default: null },
+  features: {
+    hd: { type: Boolean, default: false },
+    priority: { type: Boolean, default: false }
+  },
+  active: { type: Boolean, default: true },
+  sortOrder: { type: Number, default: 0 }
+});
+
+const Plan = mongoose.model('Plan', planSchema);
+
+// One-off prepaid image credits
+const creditPackSchema = new mongoose.Schema({
+  code: { type: String, unique: true, required: true },
+  name: { type: String, required: true },
+  credits: { type: Number, required: true },
+  price: { type: Number, required: true },
+  currency: { type: String, default: 'INR' },
+  active: { type: Boolean, default: true },
+  sortOrder: { type: Number, default: 0 }
+});
+
+const CreditPack = mongoose.model('CreditPack', creditPackSchema);
+
+// Image processing jobs - the webhook only enqueues, workers do the heavy lifting
+const jobSchema = new mongoose.Schema({
+  phoneNumber: { type: String, required: true, index: true },
+  // messaging channel the result goes back on; 'api' jobs come from /api/v1 and are only polled.
+  // 'whatsapp' is what Twilio jobs were called before there were other channels.
+  channel: { type: String, enum: ['twilio', 'whatsapp_cloud', 'telegram', 'mock', 'api', 'whatsapp'], default: 'twilio' },
+  apiKey: { type: mongoose.Schema.Types.ObjectId, ref: 'ApiKey', default: null },
+  botNumber: { type: String, default: null },
+  // source image: the channel's media reference (Twilio URL, Cloud API media id, Telegram file_id),
+  // a public URL (API), or an upload parked in storage
+  mediaUrl: { type: String, default: null },
+  inputKey: { type: String, default: null },
+  inputStorage: { type: String, default: null },
+  mediaContentType: { type: String, default: null },
+  // Twilio media SID (ME...) of the original, taken from the media URL
+  mediaSid: { type: String, default: null },
+  messageSid: { type: String, default: null },
+  // id of the webhook/API request that queued it, so its logs can be followed into the worker
+  requestId: { type: String, default: null },
+  batch: { type: mongoose.Schema.Types.ObjectId, ref: 'Batch', default: null },
+  batchIndex: { type: Number, default: 0 },
+  preset: { type: String, default: null },
+  // per-request background (API); WhatsApp jobs use the user's setting
+  background: { type: Object, default: null },
+  priority: { type: Number, default: 0 },
+  status: { type: String, enum: ['queued', 'processing', 'completed', 'dead'], default: 'queued' },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 3 },
+  runAt: { type: Date, default: Date.now },
+  lockedAt: { type: Date, default: null },
+  lastError: { type: String, default: null },
+  // ImageError code of the last failure, or processing_failed for anything unexpected
+  errorCode: { type: String, default: null },
+  resultUrl: { type: String, default: null },
+  result: { type: mongoose.Schema.Types.ObjectId, ref: 'Result', default: null },
+  // what processing cost: which provider ran, provider credits used, and which user balance paid
+  provider: { type: String, default: null },
+  providerCredits: { type: Number, default: 0 },
+  chargedFrom: { type: String, enum: ['quota', 'credits', null], default: null },
+  processingMs: { type: Number, default: null },
+  // served from an earlier identical result - nothing charged
+  cached: { type: Boolean, default: false },
+  completedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+jobSchema.index({ status: 1, priority: -1, runAt: 1 });
+// one job per attachment of an inbound message, even if the webhook is delivered twice
+jobSchema.index({ messageSid: 1, batchIndex: 1 }, { unique: true, partialFilterExpression: { messageSid: { $type: 'string' } } });
+
+const Job = mongoose.model('Job', jobSchema);
+
+// One inbound message with several attachments - used to send a single summary at the end
+const batchSchema = new mongoose.Schema({
+  phoneNumber: { type: String, required: true },
+  channel: { type: String, default: 'twilio' },
+  botNumber: { type: String, default: null },
+  total: { type: Number, required: true },
+  succeeded: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const Batch = mongoose.model('Batch', batchSchema);
+
+// A stored output file - /file/:token links point at one of these, never at the storage URL itself
+const resultSchema = new mongoose.Schema({
+  phoneNumber: { type: String, required: true, index: true },
+  storage: { type: String, default: 'cloudinary' },
+  storageKey: { type: String, required: true },
+  // public URL on the backend, if it has one (Cloudinary)
+  storageUrl: { type: String, default: null },
+  contentType: { type: String, default: 'image/png' },
+  filename: { type: String, default: 'output.png' },
+  bytes: { type: Number, default: null },
+  // sha256 of the original upload + the options it was rendered with, for repeat-image dedup
+  sourceHash: { type: String, default: null },
+  optionsKey: { type: String, default: null },
+  expiresAt: { type: Date, required: true },
+  // set when the retention job removed the stored file
+  deletedAt: { type: Date, default: null },
+  // failed retention deletes; given up on after RETENTION_MAX_ATTEMPTS
+  deleteAttempts: { type: Number, default: 0 },
+  deleteError: { type: String, default: null },
+  downloads: { type: Number, default: 0 },
+  lastDownloadedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+resultSchema.index({ phoneNumber: 1, sourceHash: 1, optionsKey: 1 });
+
+const Result = mongoose.model('Result', resultSchema);
+
+// Twilio MessageSids we've already handled - retried webhooks are acknowledged and dropped
+const inboundMessageSchema = new mongoose.Schema({
+  messageSid: { type: String, unique: true, required: true },
+  phoneNumber: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now, expires: 7 * 24 * 60 * 60 }
+});
+
+const InboundMessage = mongoose.model('InboundMessage', inboundMessageSchema);
+
+// Sliding-window log for per-number rate limits: one entry per inbound message or image,
+// dropped by Mongo once it falls out of the window
+const rateEventSchema = new mongoose.Schema({
+  phoneNumber: { type: String, required: true },
+  kind: { type: String, enum: ['message', 'image'], required: true },
+  createdAt: { type: Date, default: Date.now, expires: RATE_LIMIT_WINDOW_SECONDS }
+});
+
+rateEventSchema.index({ phoneNumber: 1, kind: 1, createdAt: 1 });
+
+const RateEvent = mongoose.model('RateEvent', rateEventSchema);
+
+// Paid provider credits spent per UTC day ('2026-10-19') and month ('2026-10'), for the budget guard
+const providerUsageSchema = new mongoose.Schema({
+  provider: { type: String, required: true },
+  period: { type: String, required: true },
+  credits: { type: Number, default: 0 }
+});
+
+providerUsageSchema.index({ provider: 1, period: 1 }, { unique: true });
+
+const ProviderUsage = mongoose.model('ProviderUsage', providerUsageSchema);
+
+// Payment ledger - every order/subscription we create and every payment Razorpay tells us about
+const orderSchema = new mongoose.Schema({
+  phoneNumber: { type: String, required: true, index: true },
+  kind: { type: String, enum: ['order', 'subscription'], default: 'order' },
+  // what was bought: a Plan code or a CreditPack code
+  planCode: { type: String, default: null },
+  packCode: { type: String, default: null },
+  razorpayOrderId: { type: String, default: null },
+  razorpaySubscriptionId: { type: String, default: null },
+  amount: { type: Number, default: null },
+  currency: { type: String, default: 'INR' },
+  receipt: { type: String, default: null },
+  status: { type: String, enum: ['created', 'paid', 'failed', 'cancelled', 'refunded'], default: 'created' },
+  notes: { type: Object, default: {} },
+  // promo applied at checkout; amount is after the discount
+  promoCode: { type: String, default: null },
+  discountPercent: { type: Number, default: 0 },
+  originalAmount: { type: Number, default: null },
+  paidAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+orderSchema.index({ razorpayOrderId: 1 }, { unique: true, partialFilterExpression: { razorpayOrderId: { $type: 'string' } } });
+orderSchema.index({ razorpaySubscriptionId: 1 }, { unique: true, partialFilterExpression: { razorpaySubscriptionId: { $type: 'string' } } });
+
+const Order = mongoose.model('Order', orderSchema);
+
+const paymentSchema = new mongoose.Schema({
+  razorpayPaymentId: { type: String, unique: true, required: true },
+  razorpayOrderId: { type: String, default: null },
+  razorpaySubscriptionId: { type: String, default: null },
+  phoneNumber: { type: String, default: null, index: true },
+  amount: { type: Number, default: null },
+  currency: { type: String, default: 'INR' },
+  method: { type: String, default: null },
+  status: { type: String, enum: ['created', 'authorized', 'captured', 'failed', 'refunded', 'partially_refunded'], default: 'captured' },
+  amountRefunded: { type: Number, default: 0 },
+  // 'checkout' = /verify-payment, 'webhook' = Razorpay event - whichever saw it first
+  source: { type: String, enum: ['checkout', 'webhook'], required: true },
+  // set once premium has been granted for this payment, so it is never granted twice
+  applied: { type: Boolean, default: false },
+  capturedAt: { type: Date, default: null },
+  refundedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+// Admin-created discount codes for one-off orders. maxUses null means unlimited.
+const promoCodeSchema = new mongoose.Schema({
+  code: { type: String, unique: true, required: true, uppercase: true, trim: true },
+  discountPercent: { type: Number, required: true, min: 1, max: 100 },
+  maxUses: { type: Number, default: null },
+  uses: { type: Number, default: 0 },
+  expiresAt: { type: Date, default: null },
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const PromoCode = mongoose.model('PromoCode', promoCodeSchema);
+
+// Keys for the public API. Only a hash is stored; the key itself is shown once when it's created.
+const apiKeySchema = new mongoose.Schema({
+  // the account: its User's plan and quota apply to API calls
+  phoneNumber: { type: String, required: true, index: true },
+  name: { type: String, default: null },
+  prefix: { type: String, required: true },
+  keyHash: { type: String, unique: true, required: true },
+  active: { type: Boolean, default: true },
+  lastUsedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = { User, Plan, CreditPack, Job, Batch, Result, InboundMessage, RateEvent, ProviderUsage, Order, Payment, PromoCode, ApiKey };
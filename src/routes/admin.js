@@ -0,0 +1,562 @@
+// Admin API, the /admin page and /debug.
+
+const express = require('express');
+const axios = require('axios');
+const mongoose = require('mongoose');
+const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, IS_PRODUCTION } = require('../config');
+const { log } = require('../logger');
+const { User, Payment, Job, ApiKey, PromoCode } = require('../models');
+const { requireAdmin } = require('../middleware');
+const { normalizePhone, getQuota, getPlan, adjustCredits } = require('../services/users');
+const { createApiKey } = require('../services/apiKeys');
+const { ONE_OFF_PREMIUM_DAYS, activatePlan, razorpay } = require('../services/payments');
+const { blockTemporarily } = require('../services/limits');
+const { getBudgetStatus } = require('../services/budget');
+
+const router = express.Router();
+
+// JSON API under /admin/api plus a small HTML page at /admin that calls it.
+// Everything here sits behind requireAdmin (X-Admin-Secret header or Basic auth with ADMIN_SECRET).
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+async function findUserByPhoneParam(phone) {
+  return User.findOne({ phoneNumber: normalizePhone(decodeURIComponent(phone).trim()) });
+}
+
+async function adminUserView(user) {
+  const quota = await getQuota(user);
+  return {
+    phoneNumber: user.phoneNumber,
+    tier: user.tier,
+    plan: quota.plan.name,
+    imagesProcessed: user.imagesProcessed,
+    monthlyQuota: quota.limit,
+    credits: quota.credits,
+    remaining: quota.remaining,
+    resetDate: user.resetDate,
+    premiumUntil: user.premiumUntil,
+    subscriptionId: user.subscriptionId,
+    subscriptionStatus: user.subscriptionStatus,
+    blocked: user.blocked,
+    blockedReason: user.blockedReason,
+    blockedAt: user.blockedAt,
+    blockedUntil: user.blockedUntil,
+    referralCode: user.referralCode,
+    referredBy: user.referredBy,
+    referralCount: user.referralCount,
+    promoCode: user.promoCode,
+    channel: user.channel,
+    createdAt: user.createdAt
+  };
+}
+
+router.get('/admin/api/users', requireAdmin, async (req, res) => {
+  try {
+    const phone = (req.query.phone || '').replace(/[^\d+]/g, '');
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const filter = phone ? { phoneNumber: { $regex: escapeRegex(phone) } } : {};
+    const users = await User.find(filter).sort({ createdAt: -1 }).limit(limit);
+    res.json({ users: await Promise.all(users.map(adminUserView)) });
+  } catch (error) {
+    log.error('Admin users error', { err: error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/admin/api/users/:phone', requireAdmin, async (req, res) => {
+  try {
+    const user = await findUserByPhoneParam(req.params.phone);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const [payments, jobs, apiKeys] = await Promise.all([
+      Payment.find({ phoneNumber: user.phoneNumber }).sort({ createdAt: -1 }).limit(20).lean(),
+      Job.find({ phoneNumber: user.phoneNumber }).sort({ createdAt: -1 }).limit(20)
+        .select('channel status attempts lastError preset mediaSid provider providerCredits chargedFrom processingMs createdAt completedAt').lean(),
+      ApiKey.find({ phoneNumber: user.phoneNumber }).select('-keyHash').sort({ createdAt: -1 }).lean()
+    ]);
+    res.json({ user: await adminUserView(user), payments, jobs, apiKeys });
+  } catch (error) {
+    log.error('Admin user error', { err: error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/admin/api/users/:phone/credits', requireAdmin, async (req, res) => {
+  try {
+    const credits = parseInt(req.body.credits);
+    if (!credits) return res.status(400).json({ error: 'credits must be a non-zero number' });
+
+    const user = await findUserByPhoneParam(req.params.phone);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    await adjustCredits(user, credits);
+    log.info('Admin: credits adjusted', { phoneNumber: user.phoneNumber, credits, reason: req.body.reason || null });
+    res.json({ success: true, user: await adminUserView(user) });
+  } catch (error) {
+    log.error('Admin credits error', { err: error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/admin/api/users/:phone/plan', requireAdmin, async (req, res) => {
+  try {
+    const { planCode = 'premium' } = req.body;
+    const days = parseInt(req.body.days) || ONE_OFF_PREMIUM_DAYS;
+
+    const user = await findUserByPhoneParam(req.params.phone);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const plan = await getPlan(planCode);
+    if (plan.code !== planCode) return res.status(400).json({ error: 'Unknown plan' });
+
+    if (plan.code === 'free') {
+      user.tier = 'free';
+      user.premiumUntil = null;
+      await user.save();
+    } else {
+      await activatePlan(user, plan, new Date(Date.now() + days * 24 * 60 * 60 * 1000));
+    }
+    log.info('Admin: plan set', { phoneNumber: user.phoneNumber, plan: plan.code });
+    res.json({ success: true, user: await adminUserView(user) });
+  } catch (error) {
+    log.error('Admin plan error', { err: error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/admin/api/users/:phone/block', requireAdmin, async (req, res) => {
+  try {
+    const user = await findUserByPhoneParam(req.params.phone);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    // minutes makes it a temporary block; unblocking also lifts rate-limit blocks
+    const minutes = req.body.minutes ? parseInt(req.body.minutes) : null;
+    if (req.body.blocked !== false && minutes !== null) {
+      if (!(minutes > 0)) return res.status(400).json({ error: 'minutes must be a positive number' });
+      await blockTemporarily(user, minutes, req.body.reason || 'admin');
+      log.info('Admin: user blocked temporarily', { phoneNumber: user.phoneNumber, minutes });
+      return res.json({ success: true, user: await adminUserView(user) });
+    }
+
+    user.blocked = req.body.blocked !== false;
+    user.blockedReason = user.blocked ? (req.body.reason || null) : null;
+    user.blockedAt = user.blocked ? new Date() : null;
+    user.blockedUntil = null;
+    await user.save();
+    log.info(user.blocked ? 'Admin: user blocked' : 'Admin: user unblocked', { phoneNumber: user.phoneNumber });
+    res.json({ success: true, user: await adminUserView(user) });
+  } catch (error) {
+    log.error('Admin block error', { err: error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Blocked numbers, permanent ones and those still inside a temporary block
+router.get('/admin/api/blocklist', requireAdmin, async (req, res) => {
+  try {
+    const users = await User.find({ $or: [{ blocked: true }, { blockedUntil: { $gt: new Date() } }] })
+      .sort({ blockedAt: -1 })
+      .limit(200);
+    res.json({ users: await Promise.all(users.map(adminUserView)) });
+  } catch (error) {
+    log.error('Admin blocklist error', { err: error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/admin/api/budget', requireAdmin, async (req, res) => {
+  try {
+    res.json(await getBudgetStatus());
+  } catch (error) {
+    log.error('Admin budget error', { err: error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/admin/api/promos', requireAdmin, async (req, res) => {
+  try {
+    const promos = await PromoCode.find().sort({ createdAt: -1 }).limit(100).lean();
+    res.json({ promos });
+  } catch (error) {
+    log.error('Admin promos error', { err: error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/admin/api/promos', requireAdmin, async (req, res) => {
+  try {
+    const code = (req.body.code || '').trim().toUpperCase();
+    const discountPercent = parseInt(req.body.discountPercent);
+    if (!/^[A-Z0-9]{3,20}$/.test(code)) return res.status(400).json({ error: 'code must be 3-20 letters or digits' });
+    if (!(discountPercent >= 1 && discountPercent <= 100)) return res.status(400).json({ error: 'discountPercent must be 1-100' });
+
+    const days = parseInt(req.body.days);
+    const promo = await PromoCode.create({
+      code,
+      discountPercent,
+      maxUses: parseInt(req.body.maxUses) || null,
+      expiresAt: req.body.expiresAt ? new Date(req.body.expiresAt) : days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : null
+    });
+    log.info('Admin: promo created', { promoCode: promo.code, discountPercent: promo.discountPercent });
+    res.json({ success: true, promo });
+  } catch (error) {
+    if (error.code === 11000) return res.status(409).json({ error: 'Promo code already exists' });
+    log.error('Admin promo error', { err: error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Change the cap, expiry or switch a code off
+router.post('/admin/api/promos/:code', requireAdmin, async (req, res) => {
+  try {
+    const promo = await PromoCode.findOne({ code: req.params.code.toUpperCase() });
+    if (!promo) return res.status(404).json({ error: 'Promo code not found' });
+
+    if (req.body.active !== undefined) promo.active = req.body.active !== false;
+    if (req.body.maxUses !== undefined) promo.maxUses = parseInt(req.body.maxUses) || null;
+    if (req.body.expiresAt !== undefined) promo.expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : null;
+    await promo.save();
+    log.info('Admin: promo updated', { promoCode: promo.code });
+    res.json({ success: true, promo });
+  } catch (error) {
+    log.error('Admin promo error', { err: error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The key is only ever returned here - store it, it can't be shown again
+router.post('/admin/api/users/:phone/api-keys', requireAdmin, async (req, res) => {
+  try {
+    const user = await findUserByPhoneParam(req.params.phone);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const { key, apiKey } = await createApiKey(user, req.body.name);
+    log.info('Admin: API key created', { keyPrefix: apiKey.prefix, phoneNumber: user.phoneNumber });
+    res.json({ success: true, key, apiKey: { id: apiKey._id, prefix: apiKey.prefix, name: apiKey.name } });
+  } catch (error) {
+    log.error('Admin API key error', { err: error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/admin/api/api-keys/:id/revoke', requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'API key not found' });
+    const apiKey = await ApiKey.findByIdAndUpdate(req.params.id, { $set: { active: false } }, { new: true });
+    if (!apiKey) return res.status(404).json({ error: 'API key not found' });
+    log.info('Admin: API key revoked', { keyPrefix: apiKey.prefix });
+    res.json({ success: true });
+  } catch (error) {
+    log.error('Admin API key error', { err: error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Issues the refund at Razorpay; the refund webhook updates the ledger and takes back plan/credits
+router.post('/admin/api/payments/:paymentId/refund', requireAdmin, async (req, res) => {
+  try {
+    const payment = await Payment.findOne({ razorpayPaymentId: req.params.paymentId });
+    if (!payment) return res.status(404).json({ error: 'Payment not found' });
+
+    const amount = parseInt(req.body.amount) || payment.amount - payment.amountRefunded;
+    const refund = await razorpay.payments.refund(payment.razorpayPaymentId, {
+      amount,
+      notes: { reason: req.body.reason || 'admin refund' }
+    });
+    log.info('Admin: refund issued', { refundId: refund.id, paymentId: payment.razorpayPaymentId, amount });
+    res.json({ success: true, refund });
+  } catch (error) {
+    log.error('Admin refund error', { err: error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Daily images processed, failures and revenue (net of refunds) for the last N days
+router.get('/admin/api/stats', requireAdmin, async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days) || 30, 365);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const day = field => ({ $dateToString: { format: '%Y-%m-%d', date: field } });
+
+    const [jobs, payments, users] = await Promise.all([
+      Job.aggregate([
+        { $match: { createdAt: { $gte: since }, status: { $in: ['completed', 'dead'] } } },
+        { $group: { _id: { day: day('$createdAt'), status: '$status' }, count: { $sum: 1 } } }
+      ]),
+      Payment.aggregate([
+        { $match: { createdAt: { $gte: since }, status: { $in: ['captured', 'refunded', 'partially_refunded'] } } },
+        { $group: { _id: { day: day('$createdAt'), currency: '$currency' }, revenue: { $sum: { $subtract: ['$amount', '$amountRefunded'] } }, count: { $sum: 1 } } }
+      ]),
+      User.aggregate([
+        { $match: { createdAt: { $gte: since } } },
+        { $group: { _id: day('$createdAt'), count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const byDay = {};
+    const row = d => (byDay[d] = byDay[d] || { day: d, processed: 0, failed: 0, payments: 0, revenue: {}, newUsers: 0 });
+    jobs.forEach(j => { row(j._id.day)[j._id.status === 'completed' ? 'processed' : 'failed'] += j.count; });
+    payments.forEach(p => {
+      const r = row(p._id.day);
+      r.payments += p.count;
+      r.revenue[p._id.currency] = (r.revenue[p._id.currency] || 0) + p.revenue;
+    });
+    users.forEach(u => { row(u._id).newUsers += u.count; });
+
+    const daily = Object.values(byDay).sort((a, b) => a.day.localeCompare(b.day));
+    daily.forEach(d => { d.failureRate = d.processed + d.failed ? d.failed / (d.processed + d.failed) : 0; });
+
+    const totals = daily.reduce((t, d) => {
+      t.processed += d.processed;
+      t.failed += d.failed;
+      t.payments += d.payments;
+      t.newUsers += d.newUsers;
+      Object.entries(d.revenue).forEach(([cur, amt]) => { t.revenue[cur] = (t.revenue[cur] || 0) + amt; });
+      return t;
+    }, { processed: 0, failed: 0, payments: 0, newUsers: 0, revenue: {} });
+    totals.failureRate = totals.processed + totals.failed ? totals.failed / (totals.processed + totals.failed) : 0;
+    totals.users = await User.countDocuments();
+
+    res.json({ days, totals, daily });
+  } catch (error) {
+    log.error('Admin stats error', { err: error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/admin', requireAdmin, (req, res) => {
+  res.send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>WhatsApp BG Remover - Admin</title>
+      <style>
+        body { font-family: Arial; padding: 20px; background: #f5f5f5; }
+        .card { background: white; padding: 20px; border-radius: 10px; margin-bottom: 20px; }
+        h1 { color: #25D366; }
+        table { border-collapse: collapse; width: 100%; }
+        td, th { border-bottom: 1px solid #eee; padding: 6px; text-align: left; font-size: 14px; }
+        input, button { padding: 8px; font-size: 14px; }
+        button { background: #25D366; color: white; border: none; border-radius: 5px; cursor: pointer; }
+        pre { white-space: pre-wrap; font-size: 12px; }
+      </style>
+    </head>
+    <body>
+      <h1>🎨 Background Remover - Admin</h1>
+      <div class="card">
+        <h2>Last 30 days</h2>
+        <div id="totals"></div>
+        <table id="daily"></table>
+      </div>
+      <div class="card">
+        <h2>remove.bg budget</h2>
+        <div id="budget"></div>
+      </div>
+      <div class="card">
+        <h2>Blocked numbers</h2>
+        <table id="blocklist"></table>
+      </div>
+      <div class="card">
+        <h2>Promo codes</h2>
+        <input id="promoCode" placeholder="CODE" size="12">
+        <input id="promoPercent" placeholder="% off" size="6">
+        <input id="promoMaxUses" placeholder="Max uses" size="8">
+        <input id="promoDays" placeholder="Valid days" size="8">
+        <button onclick="createPromo()">Create</button>
+        <table id="promos"></table>
+      </div>
+      <div class="card">
+        <h2>Users</h2>
+        <input id="phone" placeholder="Phone number">
+        <button onclick="search()">Search</button>
+        <table id="users"></table>
+      </div>
+      <div class="card">
+        <h2>User</h2>
+        <div id="actions" style="display:none">
+          <input id="credits" placeholder="Credits (+/-)" size="12"><button onclick="grantCredits()">Grant credits</button>
+          <input id="days" placeholder="Days" size="6"><button onclick="grantPremium()">Grant premium</button>
+          <button onclick="block(true)">Block</button> <button onclick="block(false)">Unblock</button>
+          <input id="paymentId" placeholder="Payment id"><button onclick="refund()">Refund</button>
+          <button onclick="createApiKey()">New API key</button>
+        </div>
+        <pre id="detail"></pre>
+      </div>
+      <script>
+        let current = null;
+
+        function api(path, body) {
+          return fetch('/admin/api' + path, body ? {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+          } : {}).then(r => r.json());
+        }
+
+        // phone numbers, block reasons and promo codes can hold user-typed text
+        function esc(value) {
+          return String(value == null ? '' : value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+        }
+
+        function phoneLink(u) {
+          return '<a href="#" data-phone="' + esc(u.phoneNumber) + '" onclick="show(this.dataset.phone)">' + esc(u.phoneNumber) + '</a>';
+        }
+
+        function money(revenue) {
+          return Object.entries(revenue).map(([cur, amt]) => cur + ' ' + (amt / 100).toFixed(2)).join(', ') || '-';
+        }
+
+        function loadStats() {
+          api('/stats?days=30').then(data => {
+            const t = data.totals;
+            document.getElementById('totals').innerHTML =
+              'Users: ' + t.users + ' | Processed: ' + t.processed + ' | Failed: ' + t.failed +
+              ' (' + (t.failureRate * 100).toFixed(1) + '%) | Revenue: ' + money(t.revenue);
+            document.getElementById('daily').innerHTML = '<tr><th>Day</th><th>Processed</th><th>Failed</th><th>New users</th><th>Payments</th><th>Revenue</th></tr>' +
+              data.daily.map(d => '<tr><td>' + d.day + '</td><td>' + d.processed + '</td><td>' + d.failed + '</td><td>' +
+                d.newUsers + '</td><td>' + d.payments + '</td><td>' + money(d.revenue) + '</td></tr>').join('');
+          });
+        }
+
+        function loadBudget() {
+          api('/budget').then(data => {
+            const usage = b => b.used + ' / ' + (b.limit || '∞');
+            document.getElementById('budget').innerHTML =
+              'Today: ' + usage(data.daily) + ' | This month: ' + usage(data.monthly) +
+              (data.exhausted ? ' | Free processing paused until ' + data.resetsAt.slice(0, 10) : '');
+          });
+        }
+
+        function blockedStatus(u) {
+          if (u.blocked) return 'yes';
+          if (u.blockedUntil && new Date(u.blockedUntil) > new Date()) return 'until ' + new Date(u.blockedUntil).toLocaleString();
+          return '';
+        }
+
+        function loadBlocklist() {
+          api('/blocklist').then(data => {
+            document.getElementById('blocklist').innerHTML = '<tr><th>Phone</th><th>Blocked</th><th>Reason</th><th>Since</th></tr>' +
+              data.users.map(u => '<tr><td>' + phoneLink(u) + '</td><td>' +
+                blockedStatus(u) + '</td><td>' + esc(u.blockedReason) + '</td><td>' + (u.blockedAt || '').slice(0, 16) + '</td></tr>').join('');
+          });
+        }
+
+        function loadPromos() {
+          api('/promos').then(data => {
+            document.getElementById('promos').innerHTML = '<tr><th>Code</th><th>% off</th><th>Used</th><th>Expires</th><th>Active</th><th></th></tr>' +
+              data.promos.map(p => '<tr><td>' + esc(p.code) + '</td><td>' + p.discountPercent + '</td><td>' + p.uses + '/' + (p.maxUses || '∞') +
+                '</td><td>' + (p.expiresAt || '').slice(0, 10) + '</td><td>' + (p.active ? 'yes' : 'no') + '</td><td>' +
+                '<button data-code="' + esc(p.code) + '" onclick="togglePromo(this.dataset.code, ' + !p.active + ')">' + (p.active ? 'Disable' : 'Enable') + '</button></td></tr>').join('');
+          });
+        }
+
+        function createPromo() {
+          api('/promos', {
+            code: document.getElementById('promoCode').value,
+            discountPercent: document.getElementById('promoPercent').value,
+            maxUses: document.getElementById('promoMaxUses').value,
+            days: document.getElementById('promoDays').value
+          }).then(data => {
+            if (!data.success) alert(data.error);
+            loadPromos();
+          });
+        }
+
+        function togglePromo(code, active) {
+          api('/promos/' + encodeURIComponent(code), { active }).then(loadPromos);
+        }
+
+        function search() {
+          const phone = document.getElementById('phone').value;
+          api('/users?phone=' + encodeURIComponent(phone)).then(data => {
+            document.getElementById('users').innerHTML = '<tr><th>Phone</th><th>Plan</th><th>Used</th><th>Credits</th><th>Reset</th><th>Blocked</th></tr>' +
+              data.users.map(u => '<tr><td>' + phoneLink(u) + '</td><td>' + esc(u.plan) +
+                '</td><td>' + u.imagesProcessed + '/' + u.monthlyQuota + '</td><td>' + u.credits + '</td><td>' +
+                (u.resetDate || '').slice(0, 10) + '</td><td>' + blockedStatus(u) + '</td></tr>').join('');
+          });
+        }
+
+        function show(phone) {
+          current = phone;
+          document.getElementById('actions').style.display = 'block';
+          api('/users/' + encodeURIComponent(phone)).then(data => {
+            document.getElementById('detail').textContent = JSON.stringify(data, null, 2);
+          });
+        }
+
+        function grantCredits() {
+          api('/users/' + encodeURIComponent(current) + '/credits', { credits: document.getElementById('credits').value }).then(() => show(current));
+        }
+
+        function grantPremium() {
+          api('/users/' + encodeURIComponent(current) + '/plan', { planCode: 'premium', days: document.getElementById('days').value }).then(() => show(current));
+        }
+
+        function block(blocked) {
+          const reason = blocked ? prompt('Reason?') : null;
+          const minutes = blocked ? prompt('Minutes (blank blocks until unblocked)?') : null;
+          api('/users/' + encodeURIComponent(current) + '/block', { blocked, reason, minutes }).then(() => {
+            show(current);
+            loadBlocklist();
+          });
+        }
+
+        function createApiKey() {
+          const name = prompt('Key name (e.g. Shopify store)?');
+          if (name === null) return;
+          api('/users/' + encodeURIComponent(current) + '/api-keys', { name }).then(data => {
+            if (data.success) prompt('Copy the key now, it will not be shown again:', data.key);
+            else alert(data.error);
+            show(current);
+          });
+        }
+
+        function refund() {
+          const id = document.getElementById('paymentId').value;
+          if (!confirm('Refund ' + id + '?')) return;
+          api('/payments/' + encodeURIComponent(id) + '/refund', {}).then(data => {
+            alert(data.success ? 'Refund requested' : 'Refund failed: ' + data.error);
+            show(current);
+          });
+        }
+
+        loadStats();
+        loadBudget();
+        loadBlocklist();
+        loadPromos();
+        search();
+      </script>
+    </body>
+    </html>
+  `);
+});
+
+// --- Diagnostic route to test a MediaUrl manually ---
+// Use: GET /debug?url=https://api.twilio.com/2010-04-01/Accounts/XXX/Media/YYY (with X-Admin-Secret)
+// Disabled in production unless ENABLE_DEBUG=true, and only fetches Twilio URLs since our credentials are attached.
+
+router.get('/debug', requireAdmin, async (req, res) => {
+  try {
+    if (IS_PRODUCTION && process.env.ENABLE_DEBUG !== 'true') return res.sendStatus(404);
+    const testUrl = req.query.url;
+    if (!testUrl) return res.status(400).send('Provide ?url=');
+    let host;
+    try { host = new URL(testUrl).hostname; } catch (_) { host = ''; }
+    if (host !== 'api.twilio.com') return res.status(400).send('Only api.twilio.com URLs are allowed');
+    const buf = await axios.get(testUrl, { responseType: 'arraybuffer', auth: { username: TWILIO_ACCOUNT_SID, password: TWILIO_AUTH_TOKEN } });
+    const b = Buffer.from(buf.data);
+    const head = b.slice(0, 8).toString('hex');
+    res.json({
+      bytes: b.length,
+      head_hex: head,
+      likely_png: head === '89504e470d0a1a0a',
+      sample_headers: buf.headers
+    });
+  } catch (err) {
+    res.status(500).send('debug error: ' + (err.message || err));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,188 @@
+// Public API: /api/v1/remove-background and job status/result.
+
+const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const { log, withContext, getContext } = require('../logger');
+const { DEFAULT_LANGUAGE, t } = require('../messages');
+const metrics = require('../metrics');
+const { Job, Result } = require('../models');
+const { getBaseUrl } = require('../utils');
+const { requireApiKey } = require('../middleware');
+const { getQuota } = require('../services/users');
+const { API_MAX_UPLOAD_BYTES, parseColor, getPreset, OUTPUT_PRESETS, ImageError } = require('../services/images');
+const { getFileUrl, getStorage, setFileHeaders, storeFile, MIME_TYPES } = require('../services/storage');
+const { countPendingJobs, enqueueImageJob, processImageJob } = require('../services/jobs');
+const { getBudgetStatus } = require('../services/budget');
+
+const router = express.Router();
+
+// POST /api/v1/remove-background for web/Shopify clients. Same pipeline, quota and storage as
+// WhatsApp: requests become Jobs on the account's User, processed inline (sync) or by the workers.
+
+const apiUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: API_MAX_UPLOAD_BYTES, files: 1 } });
+
+function apiJobView(job, result) {
+  return {
+    id: job._id,
+    status: job.status,
+    url: result ? getFileUrl(result) : null,
+    contentType: result ? result.contentType : null,
+    bytes: result ? result.bytes : null,
+    cached: job.cached,
+    error: job.status === 'dead' ? { code: job.errorCode || 'processing_failed', message: t(DEFAULT_LANGUAGE, `error_${job.errorCode || 'processing_failed'}`) } : null,
+    createdAt: job.createdAt,
+    completedAt: job.completedAt
+  };
+}
+
+// Background override from the request: transparent, blur or a colour (name or hex)
+function parseApiBackground(value) {
+  if (!value) return null;
+  const bg = String(value).trim().toLowerCase();
+  if (bg === 'transparent' || bg === 'none') return { mode: 'transparent' };
+  if (bg === 'blur') return { mode: 'blur' };
+  const color = parseColor(bg);
+  return color ? { mode: 'color', color } : undefined;
+}
+
+async function sendApiResult(res, job, result) {
+  const { stream, contentLength } = await getStorage(result.storage).get({ key: result.storageKey, url: result.storageUrl });
+  res.status(200);
+  setFileHeaders(res, result);
+  res.set('X-Job-Id', String(job._id));
+  if (!result.bytes && contentLength) res.set('Content-Length', contentLength);
+  stream.on('error', err => {
+    log.error('API stream error', { err: err });
+    res.destroy(err);
+  });
+  stream.pipe(res);
+}
+
+router.post('/api/v1/remove-background', requireApiKey, (req, res, next) => {
+  // multer errors (file too large, wrong field) are the client's fault
+  apiUpload.single('image')(req, res, error => {
+    if (!error) return next();
+    res.status(400).json({ error: error.message });
+  });
+}, async (req, res) => {
+  const { user, apiKey } = req;
+  try {
+    const imageUrl = req.body.image_url;
+    if (!req.file && !imageUrl) return res.status(400).json({ error: 'Send an image file (field "image") or image_url' });
+
+    const preset = req.body.preset ? String(req.body.preset).toLowerCase() : null;
+    if (preset && !getPreset(preset)) {
+      return res.status(400).json({ error: `Unknown preset. Use one of: ${Object.keys(OUTPUT_PRESETS).join(', ')}` });
+    }
+    const background = parseApiBackground(req.body.bg);
+    if (background === undefined) return res.status(400).json({ error: 'bg must be transparent, blur or a colour' });
+    const isAsync = req.body.mode === 'async' || req.body.async === 'true' || req.body.async === true;
+    const binary = req.body.response === 'binary';
+
+    const quota = await getQuota(user);
+    if (quota.remaining - await countPendingJobs(user.phoneNumber) <= 0) {
+      metrics.quotaRejections.inc({ channel: 'api' });
+      return res.status(402).json({ error: 'Quota exhausted', limit: quota.limit, remaining: 0 });
+    }
+
+    if (isAsync) {
+      // Uploads are parked in storage until a worker picks the job up
+      const input = req.file
+        ? await storeFile(req.file.buffer, {
+          phoneNumber: user.phoneNumber,
+          format: Object.keys(MIME_TYPES).find(ext => MIME_TYPES[ext] === req.file.mimetype) || 'png',
+          prefix: 'input'
+        })
+        : null;
+      const job = await enqueueImageJob({
+        user,
+        channel: 'api',
+        apiKey: apiKey._id,
+        mediaUrl: input ? null : imageUrl,
+        mediaContentType: req.file ? req.file.mimetype : null,
+        input,
+        background,
+        preset
+      });
+      return res.status(202).json({ ...apiJobView(job, null), statusUrl: `${getBaseUrl()}/api/v1/jobs/${job._id}` });
+    }
+
+    const job = await Job.create({
+      phoneNumber: user.phoneNumber,
+      channel: 'api',
+      apiKey: apiKey._id,
+      mediaUrl: req.file ? null : imageUrl,
+      mediaContentType: req.file ? req.file.mimetype : null,
+      background,
+      preset,
+      status: 'processing',
+      attempts: 1,
+      maxAttempts: 1,
+      lockedAt: new Date(),
+      requestId: getContext().requestId || null
+    });
+    try {
+      await withContext({ jobId: String(job._id) }, () => processImageJob(job, req.file ? req.file.buffer : null));
+    } catch (error) {
+      job.status = 'dead';
+      job.lastError = error.message;
+      job.errorCode = error instanceof ImageError ? error.code : 'processing_failed';
+      job.lockedAt = null;
+      await job.save();
+      log.warn('API job failed', { jobId: String(job._id), err: error });
+      metrics.imagesProcessed.inc({ channel: 'api', outcome: 'failed' });
+      // out of remove.bg budget -> 503 until it resets; the client's image is the problem -> 422;
+      // ours or the provider's -> 502
+      if (job.errorCode === 'budget_paused') {
+        const { resetsAt } = await getBudgetStatus();
+        if (resetsAt) res.set('Retry-After', String(Math.ceil((resetsAt - Date.now()) / 1000)));
+        return res.status(503).json(apiJobView(job, null));
+      }
+      // another request used the last image while this one was running
+      if (job.errorCode === 'quota_exceeded') return res.status(402).json(apiJobView(job, null));
+      const status = error instanceof ImageError && !error.retryable ? 422 : 502;
+      return res.status(status).json(apiJobView(job, null));
+    }
+    job.status = 'completed';
+    job.completedAt = new Date();
+    job.lockedAt = null;
+    await job.save();
+    metrics.imagesProcessed.inc({ channel: 'api', outcome: job.cached ? 'cached' : 'completed' });
+
+    const result = await Result.findById(job.result);
+    if (binary) return await sendApiResult(res, job, result);
+    res.json({ ...apiJobView(job, result), remaining: (await getQuota(user)).remaining });
+  } catch (error) {
+    log.error('API error', { err: error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/api/v1/jobs/:id', requireApiKey, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Job not found' });
+    const job = await Job.findOne({ _id: req.params.id, phoneNumber: req.user.phoneNumber, channel: 'api' }).populate('result');
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json(apiJobView(job, job.status === 'completed' ? job.result : null));
+  } catch (error) {
+    log.error('API job error', { err: error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/api/v1/jobs/:id/result', requireApiKey, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Job not found' });
+    const job = await Job.findOne({ _id: req.params.id, phoneNumber: req.user.phoneNumber, channel: 'api' }).populate('result');
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    if (job.status !== 'completed' || !job.result) return res.status(409).json({ error: `Job is ${job.status}` });
+    if (job.result.deletedAt) return res.status(410).json({ error: 'Result was deleted' });
+    await sendApiResult(res, job, job.result);
+  } catch (error) {
+    log.error('API result error', { err: error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,47 @@
+// /file/:token - streams a stored output through a signed, expiring link.
+
+const express = require('express');
+const { log } = require('../logger');
+const { Result } = require('../models');
+const { resolveFileToken, setFileHeaders, getStorage } = require('../services/storage');
+
+const router = express.Router();
+
+router.head('/file/:token', async (req, res) => {
+  try {
+    const { status, result } = await resolveFileToken(req.params.token);
+    if (status !== 200) return res.sendStatus(status);
+    setFileHeaders(res, result);
+    return res.sendStatus(200);
+  } catch (err) {
+    log.error('File head error', { err: err });
+    return res.sendStatus(500);
+  }
+});
+
+router.get('/file/:token', async (req, res) => {
+  try {
+    const { status, result } = await resolveFileToken(req.params.token);
+    if (status === 410) return res.status(410).send('This link has expired');
+    if (status !== 200) return res.sendStatus(status);
+
+    const { stream, contentLength } = await getStorage(result.storage).get({ key: result.storageKey, url: result.storageUrl });
+
+    await Result.updateOne({ _id: result._id }, { $inc: { downloads: 1 }, $set: { lastDownloadedAt: new Date() } });
+
+    res.status(200);
+    setFileHeaders(res, result);
+    if (!result.bytes && contentLength) res.set('Content-Length', contentLength);
+
+    stream.on('error', err => {
+      log.error('File stream error', { err: err });
+      res.destroy(err);
+    });
+    return stream.pipe(res);
+  } catch (err) {
+    log.error('File proxy error', { err: err });
+    return res.sendStatus(500);
+  }
+});
+
+module.exports = router;
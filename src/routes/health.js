@@ -0,0 +1,42 @@
+// Liveness, readiness and Prometheus metrics.
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { METRICS_TOKEN } = require('../config');
+const { log } = require('../logger');
+const metrics = require('../metrics');
+const { Job } = require('../models');
+const { safeEqual } = require('../utils');
+const { checkReadiness } = require('../services/health');
+
+const router = express.Router();
+
+// Liveness: the process is up and serving - restart only if this stops answering
+router.get('/healthz', (req, res) => res.json({ status: 'ok', uptime: Math.round(process.uptime()) }));
+
+router.get('/readyz', async (req, res) => {
+  const { ready, checks } = await checkReadiness();
+  res.status(ready ? 200 : 503).json({ status: ready ? 'ok' : 'unavailable', checks });
+});
+
+router.get('/metrics', async (req, res) => {
+  const bearer = (req.get('Authorization') || '').match(/^Bearer (.+)$/);
+  if (METRICS_TOKEN && !safeEqual(bearer && bearer[1], METRICS_TOKEN)) return res.sendStatus(401);
+  try {
+    if (mongoose.connection.readyState === 1) {
+      metrics.jobsQueued.set(await Job.countDocuments({ status: 'queued' }));
+    }
+    res.set('Content-Type', metrics.register.contentType);
+    res.send(await metrics.register.metrics());
+  } catch (error) {
+    log.error('Metrics error', { err: error });
+    res.sendStatus(500);
+  }
+});
+
+router.get('/', async (req, res) => {
+  const { ready } = await checkReadiness();
+  res.status(ready ? 200 : 503).send(ready ? '✅ Bot running!' : '❌ Not ready - see /readyz');
+});
+
+module.exports = router;
@@ -0,0 +1,470 @@
+// Checkout (/pay, /create-order, /create-subscription, /verify-payment) and the Razorpay webhook.
+
+const express = require('express');
+const crypto = require('crypto');
+const { RAZORPAY_WEBHOOK_SECRET } = require('../config');
+const { log } = require('../logger');
+const { t } = require('../messages');
+const { User, Order, Payment } = require('../models');
+const { safeEqual, formatDate } = require('../utils');
+const {
+  getCreditPack, getPlan, normalizePhone, getUserData, isTelegramAccount, getPaidPlans, getCatalogue,
+  formatPrice
+} = require('../services/users');
+const { checkPromoCode, applyDiscount } = require('../services/referrals');
+const { notifyUser } = require('../services/channels');
+const {
+  findUserForPayment, recordPayment, paymentFields, updateOrderStatus, claimPayment,
+  findOrderForPayment, ONE_OFF_PREMIUM_DAYS, fulfilOrder, activatePlan, revokeOrder, razorpay
+} = require('../services/payments');
+
+const router = express.Router();
+
+// Subscriptions that still bill or may resume billing
+const ACTIVE_SUBSCRIPTION_STATUSES = ['authenticated', 'active', 'pending', 'halted'];
+
+// Payment endpoints
+router.post('/create-order', async (req, res) => {
+  try {
+    const { phoneNumber, planCode, packCode } = req.body;
+    if (!phoneNumber) return res.status(400).json({ error: 'Phone required' });
+
+    // A credit pack, or a plan bought as a one-off month (defaults to premium, as before plans existed)
+    const item = packCode ? await getCreditPack(packCode) : await getPlan(planCode || 'premium');
+    if (!item || !item.price) return res.status(400).json({ error: 'Unknown plan or pack' });
+
+    // An explicit promoCode must be valid; one saved with PROMO is dropped quietly if it no longer is
+    let promo = null;
+    if (req.body.promoCode) {
+      const check = await checkPromoCode(req.body.promoCode, normalizePhone(phoneNumber));
+      if (check.error) return res.status(400).json({ error: `Promo code ${check.error.replace('_', ' ')}` });
+      promo = check.promo;
+    } else {
+      const user = await User.findOne({ phoneNumber: normalizePhone(phoneNumber) });
+      if (user && user.promoCode) promo = (await checkPromoCode(user.promoCode, user.phoneNumber)).promo || null;
+    }
+    const amount = promo ? applyDiscount(item.price, promo.discountPercent) : item.price;
+    
+    const notes = packCode ? { phoneNumber, packCode: item.code } : { phoneNumber, planCode: item.code };
+    if (promo) notes.promoCode = promo.code;
+    const options = {
+      amount,
+      currency: item.currency,
+      receipt: `${item.code}_${phoneNumber}_${Date.now()}`.slice(0, 40),
+      notes
+    };
+    
+    const order = await razorpay.orders.create(options);
+    await Order.create({
+      phoneNumber: normalizePhone(phoneNumber),
+      kind: 'order',
+      planCode: packCode ? null : item.code,
+      packCode: packCode ? item.code : null,
+      razorpayOrderId: order.id,
+      amount: order.amount,
+      currency: order.currency,
+      receipt: order.receipt,
+      notes: order.notes,
+      promoCode: promo ? promo.code : null,
+      discountPercent: promo ? promo.discountPercent : 0,
+      originalAmount: item.price
+    });
+    res.json({
+      success: true,
+      orderId: order.id,
+      amount: order.amount,
+      currency: order.currency,
+      promoCode: promo ? promo.code : null,
+      discountPercent: promo ? promo.discountPercent : 0
+    });
+  } catch (error) {
+    log.error('Order error', { err: error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/create-subscription', async (req, res) => {
+  try {
+    const { phoneNumber, planCode = 'premium' } = req.body;
+    if (!phoneNumber) return res.status(400).json({ error: 'Phone required' });
+
+    const plan = await getPlan(planCode);
+    if (plan.code !== planCode || !plan.price) return res.status(400).json({ error: 'Unknown plan' });
+    if (!plan.razorpayPlanId) return res.status(500).json({ error: 'Subscriptions not configured for this plan' });
+
+    const user = await getUserData(normalizePhone(phoneNumber));
+    if (!user) return res.status(400).json({ error: 'User not found' });
+
+    // One subscription per user. A created-but-never-paid one (abandoned checkout) is replaced.
+    if (user.subscriptionId && ACTIVE_SUBSCRIPTION_STATUSES.includes(user.subscriptionStatus)) {
+      return res.status(409).json({ error: 'Subscription already active' });
+    }
+    if (user.subscriptionId && user.subscriptionStatus === 'created') {
+      await razorpay.subscriptions.cancel(user.subscriptionId).catch(error => {
+        log.warn('Could not cancel unpaid subscription', { subscriptionId: user.subscriptionId, err: error });
+      });
+    }
+
+    const subscription = await razorpay.subscriptions.create({
+      plan_id: plan.razorpayPlanId,
+      total_count: 12,
+      customer_notify: 1,
+      notes: { phoneNumber: user.phoneNumber, planCode: plan.code }
+    });
+
+    user.subscriptionId = subscription.id;
+    user.subscriptionStatus = subscription.status;
+    await user.save();
+
+    await Order.create({
+      phoneNumber: user.phoneNumber,
+      kind: 'subscription',
+      planCode: plan.code,
+      razorpaySubscriptionId: subscription.id,
+      amount: plan.price,
+      currency: plan.currency,
+      notes: subscription.notes
+    });
+
+    res.json({ success: true, subscriptionId: subscription.id });
+  } catch (error) {
+    log.error('Subscription error', { err: error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Razorpay server-to-server events - the source of truth for premium, even if the buyer closed the tab
+router.post('/razorpay/webhook', async (req, res) => {
+  try {
+    if (!RAZORPAY_WEBHOOK_SECRET) return res.status(503).json({ error: 'Webhook not configured' });
+
+    const expected = crypto.createHmac('sha256', RAZORPAY_WEBHOOK_SECRET).update(req.rawBody || '').digest('hex');
+    if (!safeEqual(req.get('X-Razorpay-Signature'), expected)) {
+      log.warn('Rejected Razorpay webhook with invalid signature');
+      return res.status(400).json({ error: 'Invalid signature' });
+    }
+
+    const { event, payload = {} } = req.body;
+    log.info('Razorpay webhook', { event });
+    const payment = payload.payment?.entity;
+    const subscription = payload.subscription?.entity;
+
+    switch (event) {
+      case 'payment.captured': {
+        // subscription invoices are handled by subscription.charged
+        if (payment.invoice_id) break;
+        const user = await findUserForPayment({ notes: payment.notes, paymentId: payment.id });
+        const { payment: ledger } = await recordPayment({ ...paymentFields(payment, 'webhook'), phoneNumber: user ? user.phoneNumber : null });
+        await Payment.updateOne({ _id: ledger._id }, { $set: { status: 'captured', capturedAt: ledger.capturedAt || new Date(), updatedAt: new Date() } });
+        await updateOrderStatus({ razorpayOrderId: payment.order_id }, 'paid');
+        if (!user) {
+          log.warn('No user for payment', { paymentId: payment.id });
+          break;
+        }
+        if (!await claimPayment(ledger)) break;
+        user.lastPaymentId = payment.id;
+        const order = await findOrderForPayment({ razorpayOrderId: payment.order_id });
+        const until = new Date(payment.created_at * 1000 + ONE_OFF_PREMIUM_DAYS * 24 * 60 * 60 * 1000);
+        const confirmation = await fulfilOrder(user, order, until);
+        if (confirmation) await notifyUser(user, confirmation);
+        break;
+      }
+
+      case 'subscription.activated':
+      case 'subscription.charged': {
+        const user = await findUserForPayment({ notes: subscription.notes, subscriptionId: subscription.id });
+        if (!user) {
+          log.warn('No user for subscription', { subscriptionId: subscription.id });
+          break;
+        }
+        user.subscriptionId = subscription.id;
+        user.subscriptionStatus = subscription.status;
+        if (payment) {
+          const { payment: ledger } = await recordPayment({
+            ...paymentFields(payment, 'webhook'),
+            razorpaySubscriptionId: subscription.id,
+            phoneNumber: user.phoneNumber
+          });
+          await updateOrderStatus({ razorpaySubscriptionId: subscription.id }, 'paid');
+          if (!await claimPayment(ledger)) {
+            await user.save();
+            break;
+          }
+          user.lastPaymentId = payment.id;
+        }
+        const order = await findOrderForPayment({ razorpaySubscriptionId: subscription.id });
+        const plan = order && order.planCode
+          ? await getPlan(order.planCode)
+          : await getPlan(subscription.notes?.planCode || 'premium');
+        const until = new Date(subscription.current_end * 1000);
+        if (await activatePlan(user, plan, until)) {
+          await notifyUser(user, t(user.language, 'subscription_active', { plan: plan.name, date: formatDate(until), quota: plan.monthlyQuota }));
+        } else {
+          await user.save();
+        }
+        break;
+      }
+
+      case 'subscription.pending':
+      case 'subscription.halted':
+      case 'subscription.cancelled':
+      case 'subscription.completed': {
+        // No new period is paid for: premium simply lapses at premiumUntil
+        if (event === 'subscription.cancelled') {
+          await updateOrderStatus({ razorpaySubscriptionId: subscription.id }, 'cancelled');
+        }
+        const user = await findUserForPayment({ notes: subscription.notes, subscriptionId: subscription.id });
+        if (!user) break;
+        const changed = user.subscriptionStatus !== subscription.status;
+        user.subscriptionStatus = subscription.status;
+        await user.save();
+        if (changed && event === 'subscription.cancelled' && user.premiumUntil) {
+          await notifyUser(user, t(user.language, 'subscription_cancelled', { date: formatDate(user.premiumUntil) }));
+        } else if (changed && event === 'subscription.halted') {
+          await notifyUser(user, t(user.language, 'subscription_halted'));
+        }
+        break;
+      }
+
+      case 'payment.refunded':
+      case 'refund.processed': {
+        const paymentId = payment ? payment.id : payload.refund?.entity?.payment_id;
+        const user = await findUserForPayment({ notes: payment?.notes, paymentId });
+        // Only a full refund of the payment that paid for the current period ends premium
+        const fullRefund = !payment || payment.amount_refunded >= payment.amount;
+        const ledger = await Payment.findOneAndUpdate(
+          { razorpayPaymentId: paymentId },
+          {
+            $set: {
+              status: fullRefund ? 'refunded' : 'partially_refunded',
+              amountRefunded: payment ? payment.amount_refunded : payload.refund?.entity?.amount,
+              refundedAt: new Date(),
+              updatedAt: new Date()
+            }
+          },
+          { new: true }
+        );
+        if (ledger && fullRefund) await updateOrderStatus(ledger, 'refunded');
+        if (!user || !fullRefund) break;
+        const order = ledger ? await findOrderForPayment(ledger) : null;
+        const notice = await revokeOrder(user, order, paymentId);
+        if (notice) await notifyUser(user, notice);
+        break;
+      }
+
+      default:
+        log.debug('Ignored Razorpay event', { event });
+    }
+
+    res.json({ received: true });
+  } catch (error) {
+    // 500 makes Razorpay retry the delivery
+    log.error('Razorpay webhook error', { err: error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/verify-payment', async (req, res) => {
+  try {
+    let { orderId, subscriptionId, paymentId, signature, phoneNumber } = req.body;
+    phoneNumber = normalizePhone(phoneNumber);
+    log.info('Verify payment request', { phoneNumber, orderId, subscriptionId, paymentId });
+    
+    // Checkout signs "order|payment" for one-off orders and "payment|subscription" for subscriptions
+    const hmac = crypto.createHmac('sha256', process.env.RAZORPAY_KEY_SECRET);
+    hmac.update(subscriptionId ? paymentId + '|' + subscriptionId : orderId + '|' + paymentId);
+    const generated = hmac.digest('hex');
+    
+    if (!safeEqual(generated, signature)) {
+      log.warn('Payment signature mismatch', { paymentId });
+      return res.status(400).json({ success: false, error: 'Invalid signature' });
+    }
+    
+    let user = await User.findOne({ phoneNumber });
+    
+    if (!user) {
+      log.warn('Payment for unknown user', { phoneNumber, paymentId });
+      return res.status(400).json({ success: false, error: 'User not found: ' + phoneNumber });
+    }
+    
+    // Ledger first: replaying the same signed payload finds the payment already applied
+    const entity = await razorpay.payments.fetch(paymentId);
+    const { payment } = await recordPayment({
+      ...paymentFields(entity, 'checkout'),
+      razorpayOrderId: orderId || entity.order_id || null,
+      razorpaySubscriptionId: subscriptionId || null,
+      phoneNumber: user.phoneNumber
+    });
+    await updateOrderStatus({ razorpayOrderId: orderId, razorpaySubscriptionId: subscriptionId }, 'paid');
+
+    if (!await claimPayment(payment)) {
+      log.info('Payment already applied', { paymentId });
+      return res.json({ success: true, message: 'Payment already verified' });
+    }
+
+    // Upgrade user - the Razorpay webhook does the same, whichever arrives first wins
+    let until = new Date(Date.now() + ONE_OFF_PREMIUM_DAYS * 24 * 60 * 60 * 1000);
+    if (subscriptionId) {
+      const subscription = await razorpay.subscriptions.fetch(subscriptionId);
+      if (subscription.current_end) until = new Date(subscription.current_end * 1000);
+      user.subscriptionId = subscriptionId;
+      user.subscriptionStatus = subscription.status;
+    }
+    user.lastPaymentId = paymentId;
+    const order = await findOrderForPayment({ razorpayOrderId: orderId, razorpaySubscriptionId: subscriptionId });
+    const confirmation = await fulfilOrder(user, order, until);
+    
+    // Send WhatsApp notification
+    if (confirmation) await notifyUser(user, confirmation);
+    
+    return res.json({ success: true, message: 'Payment verified!' });
+  } catch (error) {
+    log.error('Verify error', { err: error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/pay/:phoneNumber', async (req, res) => {
+  const phoneNumber = isTelegramAccount(req.params.phoneNumber) ? req.params.phoneNumber : req.params.phoneNumber.replace(/\D/g, '');
+  let plans, packs;
+  try {
+    [plans, { packs }] = await Promise.all([getPaidPlans(), getCatalogue()]);
+  } catch (error) {
+    log.error('Pay page error', { err: error });
+    return res.status(500).send('Something went wrong, please try again.');
+  }
+
+  // A promo saved with PROMO shows up as discounted one-off prices (subscriptions aren't discounted)
+  let promo = null;
+  try {
+    const user = await User.findOne({ phoneNumber: normalizePhone(phoneNumber) });
+    if (user && user.promoCode) promo = (await checkPromoCode(user.promoCode, user.phoneNumber)).promo || null;
+  } catch (error) {
+    log.error('Pay page promo error', { err: error });
+  }
+  const price = (amount, currency, discounted) => discounted && promo
+    ? `<s>${formatPrice(amount, currency)}</s> ${formatPrice(applyDiscount(amount, promo.discountPercent), currency)}`
+    : formatPrice(amount, currency);
+
+  // ?item=<code> narrows the page to what the user picked in WhatsApp
+  const item = req.query.item;
+  if (item && [...plans, ...packs].some(i => i.code === item)) {
+    plans = plans.filter(p => p.code === item);
+    packs = packs.filter(p => p.code === item);
+  }
+
+  // Plans with a Razorpay plan are real subscriptions; everything else is a one-off order
+  const planCards = plans.map(plan => `
+        <div class="item">
+          <h2>⭐ ${plan.name}</h2>
+          <div class="price">${price(plan.price, plan.currency, !plan.razorpayPlanId)}/month</div>
+          <ul>
+            <li>✅ ${plan.monthlyQuota} images/month</li>
+            ${plan.features && plan.features.priority ? '<li>✅ Priority processing</li>' : ''}
+            ${plan.features && plan.features.hd ? '<li>✅ HD quality</li>' : ''}
+          </ul>
+          <button onclick="pay('${plan.razorpayPlanId ? 'subscription' : 'order'}', { planCode: '${plan.code}' })">Subscribe</button>
+        </div>`).join('');
+  const packCards = packs.map(pack => `
+        <div class="item">
+          <h2>💳 ${pack.name}</h2>
+          <div class="price">${price(pack.price, pack.currency, true)}</div>
+          <ul><li>✅ ${pack.credits} images, never expire</li></ul>
+          <button onclick="pay('order', { packCode: '${pack.code}' })">Buy</button>
+        </div>`).join('');
+
+  res.send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>WhatsApp BG Remover - Upgrade</title>
+      <script src="https://checkout.razorpay.com/v1/checkout.js"></script>
+      <style>
+        body { font-family: Arial; text-align: center; padding: 40px; background: #f5f5f5; }
+        .container { max-width: 400px; margin: 0 auto; background: white; padding: 30px; border-radius: 10px; }
+        .item { border-top: 1px solid #eee; padding: 10px 0 20px; }
+        h1 { color: #25D366; }
+        .price { font-size: 36px; margin: 20px 0; }
+        ul { text-align: left; }
+        button { background: #25D366; color: white; border: none; padding: 15px 30px; font-size: 16px; border-radius: 5px; cursor: pointer; width: 100%; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <h1>🎨 Background Remover</h1>
+        ${promo ? `<p>🎟️ ${promo.code}: ${promo.discountPercent}% off one-time purchases</p>` : ''}
+        ${planCards}
+        ${packCards}
+        <p id="status"></p>
+      </div>
+      <script>
+        function setStatus(text) {
+          document.getElementById('status').innerHTML = text;
+        }
+
+        function verify(body) {
+          setStatus('⏳ Verifying payment...');
+          fetch('/verify-payment', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(Object.assign({ phoneNumber: '${phoneNumber}' }, body))
+          })
+          .then(r => r.json())
+          .then(data => {
+            if (data.success) {
+              setTimeout(() => {
+                window.location.href = '/success';
+              }, 1000);
+            } else {
+              setStatus('❌ Verification failed: ' + data.error);
+            }
+          })
+          .catch(e => setStatus('❌ Error: ' + e.message));
+        }
+
+        function pay(kind, item) {
+          fetch(kind === 'subscription' ? '/create-subscription' : '/create-order', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(Object.assign({ phoneNumber: '${phoneNumber}' }, item))
+          })
+          .then(r => r.json())
+          .then(data => {
+            if (!data.success) throw new Error(data.error);
+            const options = {
+              key: '${process.env.RAZORPAY_KEY_ID}',
+              prefill: { contact: '${isTelegramAccount(phoneNumber) ? '' : phoneNumber}' },
+              theme: { color: '#25D366' }
+            };
+            if (kind === 'subscription') {
+              options.subscription_id = data.subscriptionId;
+              options.handler = response => verify({
+                subscriptionId: response.razorpay_subscription_id,
+                paymentId: response.razorpay_payment_id,
+                signature: response.razorpay_signature
+              });
+            } else {
+              options.order_id = data.orderId;
+              options.amount = data.amount;
+              options.currency = data.currency;
+              options.handler = response => verify({
+                orderId: response.razorpay_order_id,
+                paymentId: response.razorpay_payment_id,
+                signature: response.razorpay_signature
+              });
+            }
+            new Razorpay(options).open();
+          })
+          .catch(e => setStatus('❌ Error: ' + e.message));
+        }
+      </script>
+    </body>
+    </html>
+  `);
+});
+
+router.get('/success', (req, res) => {
+  res.send('<h1>✅ Payment Successful!</h1><p>Your purchase is active. Go back to WhatsApp.</p>');
+});
+
+module.exports = router;
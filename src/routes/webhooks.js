@@ -0,0 +1,45 @@
+// Inbound webhooks, one per messaging channel.
+
+const express = require('express');
+const { WHATSAPP_CLOUD_VERIFY_TOKEN } = require('../config');
+const { log } = require('../logger');
+const { safeEqual } = require('../utils');
+const { twilioChannel, whatsappCloudChannel, telegramChannel, mockChannel } = require('../services/channels');
+const { handleInbound } = require('../services/inbound');
+
+const router = express.Router();
+
+// Unconfigured channels 404; configured ones check the request came from the provider, then
+// answer 200 even when handling fails - the providers would otherwise redeliver it.
+function channelWebhook(channel) {
+  return [
+    (req, res, next) => channel.isConfigured() ? next() : res.sendStatus(404),
+    channel.verify,
+    async (req, res) => {
+      try {
+        for (const message of channel.parseInbound(req)) {
+          await handleInbound(channel, message);
+        }
+      } catch (error) {
+        log.error('Webhook error', { channel: channel.name, err: error });
+      }
+      res.status(200).send('OK');
+    }
+  ];
+}
+
+// Twilio keeps the original path
+router.post('/webhook', channelWebhook(twilioChannel));
+router.post('/webhook/whatsapp-cloud', channelWebhook(whatsappCloudChannel));
+router.post('/webhook/telegram', channelWebhook(telegramChannel));
+router.post('/webhook/mock', channelWebhook(mockChannel));
+
+// Meta's subscription check when the Cloud API webhook URL is saved
+router.get('/webhook/whatsapp-cloud', (req, res) => {
+  if (req.query['hub.mode'] === 'subscribe' && WHATSAPP_CLOUD_VERIFY_TOKEN && safeEqual(req.query['hub.verify_token'], WHATSAPP_CLOUD_VERIFY_TOKEN)) {
+    return res.status(200).send(req.query['hub.challenge']);
+  }
+  res.sendStatus(403);
+});
+
+module.exports = router;
@@ -0,0 +1,16 @@
+// Public API keys. Only a SHA-256 of the key is stored; the key itself is shown once on creation.
+
+const crypto = require('crypto');
+const { ApiKey } = require('../models');
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+async function createApiKey(user, name) {
+  const key = `bgr_${crypto.randomBytes(24).toString('hex')}`;
+  const apiKey = await ApiKey.create({ phoneNumber: user.phoneNumber, name: name || null, prefix: key.slice(0, 12), keyHash: hashApiKey(key) });
+  return { key, apiKey };
+}
+
+module.exports = { hashApiKey, createApiKey };
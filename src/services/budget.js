@@ -0,0 +1,61 @@
+// remove.bg spend guard. Credits charged by paid providers are counted per UTC day and month;
+// once REMOVEBG_DAILY_BUDGET or REMOVEBG_MONTHLY_BUDGET is used up, free-tier images stop going to
+// paid providers until the period rolls over. Paying users (a paid plan, or credits left after
+// buying a pack) carry on; referral and admin credits alone don't make someone a paying user.
+
+const { REMOVEBG_DAILY_BUDGET, REMOVEBG_MONTHLY_BUDGET } = require('../config');
+const { log } = require('../logger');
+const { ProviderUsage, Order } = require('../models');
+
+function periodKeys(date = new Date()) {
+  const iso = date.toISOString();
+  return { day: iso.slice(0, 10), month: iso.slice(0, 7) };
+}
+
+async function recordSpend(provider, credits) {
+  if (!credits) return;
+  const { day, month } = periodKeys();
+  await ProviderUsage.bulkWrite([day, month].map(period => ({
+    updateOne: { filter: { provider, period }, update: { $inc: { credits } }, upsert: true }
+  })));
+}
+
+// { daily, monthly, exhausted, resetsAt } - exhausted is 'daily', 'monthly' or null, and
+// resetsAt is when free processing picks up again.
+async function getBudgetStatus() {
+  const { day, month } = periodKeys();
+  const usage = await ProviderUsage.find({ provider: 'removebg', period: { $in: [day, month] } }).lean();
+  const used = period => usage.find(entry => entry.period === period)?.credits || 0;
+  const daily = { period: day, used: used(day), limit: REMOVEBG_DAILY_BUDGET || null };
+  const monthly = { period: month, used: used(month), limit: REMOVEBG_MONTHLY_BUDGET || null };
+
+  // the monthly cap wins when both are hit - it resets later
+  const now = new Date();
+  let exhausted = null;
+  let resetsAt = null;
+  if (monthly.limit && monthly.used >= monthly.limit) {
+    exhausted = 'monthly';
+    resetsAt = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+  } else if (daily.limit && daily.used >= daily.limit) {
+    exhausted = 'daily';
+    resetsAt = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+  }
+  return { daily, monthly, exhausted, resetsAt };
+}
+
+async function isPayingUser(user) {
+  if (user.tier !== 'free') return true;
+  if (!(user.credits > 0)) return false;
+  return !!await Order.exists({ phoneNumber: user.phoneNumber, packCode: { $ne: null }, status: 'paid' });
+}
+
+// Whether this user's images may go to paid providers right now
+async function paidProvidersAllowed(user) {
+  if (!REMOVEBG_DAILY_BUDGET && !REMOVEBG_MONTHLY_BUDGET) return true;
+  const { exhausted } = await getBudgetStatus();
+  if (!exhausted || await isPayingUser(user)) return true;
+  log.info('remove.bg budget used up, skipping paid providers', { phoneNumber: user.phoneNumber, budget: exhausted });
+  return false;
+}
+
+module.exports = { recordSpend, getBudgetStatus, isPayingUser, paidProvidersAllowed };
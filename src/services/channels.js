@@ -0,0 +1,442 @@
+// Messaging channels (Twilio, WhatsApp Cloud API, Telegram, mock) and the send helpers that pick
+// the right one for a user, job or batch.
+
+const twilio = require('twilio');
+const axios = require('axios');
+const FormData = require('form-data');
+const crypto = require('crypto');
+const {
+  TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_WHATSAPP_NUMBER, WHATSAPP_CLOUD_TOKEN,
+  WHATSAPP_CLOUD_PHONE_NUMBER_ID, WHATSAPP_CLOUD_APP_SECRET, GRAPH_API_URL, TELEGRAM_BOT_TOKEN,
+  TELEGRAM_WEBHOOK_SECRET, TWILIO_API_URL, IS_PRODUCTION
+} = require('../config');
+const { log } = require('../logger');
+const { getBaseUrl, safeEqual } = require('../utils');
+const { normalizePhone } = require('./users');
+const { MAX_INPUT_BYTES, downloadError } = require('./images');
+
+// Every messaging channel is an adapter with the same shape:
+//   parseInbound(req) -> [{ messageId, from, to, text, media: [{ url, contentType }], language }]
+//   sendText / sendImage / sendDocument / sendSticker(to, ..., from) and downloadMedia(ref) -> Buffer
+//   accountFor(address) / addressFor(phoneNumber) map channel addresses to User.phoneNumber and back
+// `from` is the bot's own address on the channel (Twilio number, Cloud API phone number id) or null.
+const TWILIO_SANDBOX_NUMBER = '+14155238886';
+
+// Sends Twilio REST calls to TWILIO_API_URL instead of api.twilio.com (the test suite's fake)
+class RedirectedRequestClient extends twilio.RequestClient {
+  constructor(baseUrl) {
+    super();
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+  }
+
+  request(opts) {
+    const uri = new URL(opts.uri);
+    return super.request({ ...opts, uri: this.baseUrl + uri.pathname + uri.search });
+  }
+}
+
+const client = TWILIO_ACCOUNT_SID && TWILIO_AUTH_TOKEN
+  ? twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_API_URL ? { httpClient: new RedirectedRequestClient(TWILIO_API_URL) } : {})
+  : null;
+
+async function downloadTwilioMedia(mediaUrl) {
+  const imageResponse = await axios.get(mediaUrl, {
+    responseType: 'arraybuffer',
+    auth: { username: TWILIO_ACCOUNT_SID, password: TWILIO_AUTH_TOKEN },
+    timeout: 30000,
+    // stop at the limit instead of downloading a huge file first
+    maxContentLength: MAX_INPUT_BYTES
+  }).catch(error => { throw downloadError(error); });
+
+  const originalBuffer = Buffer.from(imageResponse.data);
+  log.info('Downloaded original', { channel: 'twilio', bytes: originalBuffer.length });
+  return originalBuffer;
+}
+
+// Twilio signs the full public URL + POST params with our auth token (X-Twilio-Signature).
+// Behind Railway's proxy req.protocol/host are not the public ones, so build the URL from getBaseUrl().
+function validateTwilioRequest(req, res, next) {
+  if (process.env.TWILIO_VALIDATE_SIGNATURE === 'false') return next();
+
+  const signature = req.get('X-Twilio-Signature');
+  const url = `${getBaseUrl()}${req.originalUrl}`;
+  if (!signature || !twilio.validateRequest(TWILIO_AUTH_TOKEN, signature, url, req.body || {})) {
+    log.warn('Rejected webhook with invalid signature', { channel: 'twilio' });
+    return res.status(403).send('Invalid signature');
+  }
+  next();
+}
+
+// Twilio sends attachments as MediaUrl0..N / MediaContentType0..N
+function getMediaItems(body) {
+  const numMedia = parseInt(body.NumMedia) || 0;
+  const items = [];
+  for (let i = 0; i < numMedia; i++) {
+    if (!body[`MediaUrl${i}`]) continue;
+    items.push({ url: body[`MediaUrl${i}`], contentType: body[`MediaContentType${i}`] || null });
+  }
+  return items;
+}
+
+const twilioChannel = {
+  name: 'twilio',
+  isConfigured: () => !!client,
+  verify: validateTwilioRequest,
+
+  // Twilio posts one form per message: From/To/Body plus MediaUrl0..N
+  parseInbound(req) {
+    const body = req.body || {};
+    const from = body.From?.replace('whatsapp:', '');
+    if (!from) return [];
+    return [{
+      messageId: body.MessageSid || null,
+      from,
+      to: body.To?.replace('whatsapp:', '') || null,
+      text: body.Body || '',
+      media: getMediaItems(body)
+    }];
+  },
+
+  accountFor: address => normalizePhone(address),
+  addressFor: phoneNumber => phoneNumber,
+
+  async sendText(to, text, from) {
+    await client.messages.create({ body: text, from: twilioSender(from), to: `whatsapp:${to}` });
+  },
+
+  async sendImage(to, url, caption, from) {
+    await client.messages.create({ body: caption, mediaUrl: [url], from: twilioSender(from), to: `whatsapp:${to}` });
+  },
+
+  // WhatsApp via Twilio has no separate document type - the media link arrives as a file
+  async sendDocument(to, url, caption, from) {
+    await client.messages.create({ body: caption, mediaUrl: [url], from: twilioSender(from), to: `whatsapp:${to}` });
+  },
+
+  async sendSticker(to, url, from) {
+    await client.messages.create({ mediaUrl: [url], from: twilioSender(from), to: `whatsapp:${to}` });
+  },
+
+  downloadMedia: mediaUrl => downloadTwilioMedia(mediaUrl)
+};
+
+// TWILIO_WHATSAPP_NUMBER wins over the number the message was sent to, as it always has
+function twilioSender(from) {
+  return `whatsapp:${TWILIO_WHATSAPP_NUMBER || from || TWILIO_SANDBOX_NUMBER}`;
+}
+
+async function graphRequest(method, url, data) {
+  try {
+    const response = await axios({
+      method,
+      url: url.startsWith('http') ? url : `${GRAPH_API_URL}/${url}`,
+      data,
+      headers: { Authorization: `Bearer ${WHATSAPP_CLOUD_TOKEN}` },
+      timeout: 30000
+    });
+    return response.data;
+  } catch (error) {
+    const detail = error.response?.data?.error?.message;
+    throw new Error(detail ? `WhatsApp Cloud API: ${detail}` : error.message);
+  }
+}
+
+function cloudSend(to, from, message) {
+  return graphRequest('post', `${from || WHATSAPP_CLOUD_PHONE_NUMBER_ID}/messages`, {
+    messaging_product: 'whatsapp',
+    recipient_type: 'individual',
+    to,
+    ...message
+  });
+}
+
+// Meta signs the raw JSON body with the app secret
+function validateCloudRequest(req, res, next) {
+  const signature = (req.get('X-Hub-Signature-256') || '').replace(/^sha256=/, '');
+  const expected = crypto.createHmac('sha256', WHATSAPP_CLOUD_APP_SECRET).update(req.rawBody || '').digest('hex');
+  if (!signature || !safeEqual(signature, expected)) {
+    log.warn('Rejected webhook with invalid signature', { channel: 'whatsapp_cloud' });
+    return res.status(403).send('Invalid signature');
+  }
+  next();
+}
+
+const CLOUD_MEDIA_TYPES = ['image', 'document', 'sticker', 'video', 'audio'];
+
+const whatsappCloudChannel = {
+  name: 'whatsapp_cloud',
+  isConfigured: () => !!(WHATSAPP_CLOUD_TOKEN && WHATSAPP_CLOUD_PHONE_NUMBER_ID && WHATSAPP_CLOUD_APP_SECRET),
+  verify: validateCloudRequest,
+
+  // One webhook can carry several messages (and delivery statuses, which we ignore).
+  // Attachments come as media ids, one per message - albums arrive as separate messages.
+  parseInbound(req) {
+    const messages = [];
+    for (const entry of (req.body && req.body.entry) || []) {
+      for (const change of entry.changes || []) {
+        const value = change.value || {};
+        for (const message of value.messages || []) {
+          const attachment = CLOUD_MEDIA_TYPES.includes(message.type) ? message[message.type] : null;
+          messages.push({
+            messageId: message.id,
+            from: message.from,
+            to: value.metadata ? value.metadata.phone_number_id : null,
+            text: message.type === 'text' ? message.text.body : (attachment && attachment.caption) || '',
+            media: attachment && attachment.id ? [{ url: attachment.id, contentType: attachment.mime_type || null }] : []
+          });
+        }
+      }
+    }
+    return messages;
+  },
+
+  // wa_ids are the number without the "+", so Twilio and Cloud API users share an account
+  accountFor: address => normalizePhone(address),
+  addressFor: phoneNumber => phoneNumber.replace('+', ''),
+
+  async sendText(to, text, from) {
+    await cloudSend(to, from, { type: 'text', text: { body: text } });
+  },
+
+  async sendImage(to, url, caption, from) {
+    await cloudSend(to, from, { type: 'image', image: caption ? { link: url, caption } : { link: url } });
+  },
+
+  async sendDocument(to, url, caption, from, filename) {
+    await cloudSend(to, from, { type: 'document', document: { link: url, caption: caption || undefined, filename: filename || undefined } });
+  },
+
+  async sendSticker(to, url, from) {
+    await cloudSend(to, from, { type: 'sticker', sticker: { link: url } });
+  },
+
+  // The media id resolves to a short-lived URL that needs the same bearer token
+  async downloadMedia(mediaId) {
+    const media = await graphRequest('get', mediaId).catch(error => { throw downloadError(error); });
+    const response = await axios.get(media.url, {
+      responseType: 'arraybuffer',
+      headers: { Authorization: `Bearer ${WHATSAPP_CLOUD_TOKEN}` },
+      timeout: 30000,
+      maxContentLength: MAX_INPUT_BYTES
+    }).catch(error => { throw downloadError(error); });
+    log.info('Downloaded original', { channel: 'whatsapp_cloud', bytes: response.data.length });
+    return Buffer.from(response.data);
+  }
+};
+
+async function telegramRequest(method, data, headers) {
+  try {
+    const response = await axios.post(`https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/${method}`, data, { headers, timeout: 30000 });
+    return response.data.result;
+  } catch (error) {
+    const detail = error.response?.data?.description;
+    throw new Error(detail ? `Telegram: ${detail}` : error.message);
+  }
+}
+
+function validateTelegramRequest(req, res, next) {
+  if (!safeEqual(req.get('X-Telegram-Bot-Api-Secret-Token'), TELEGRAM_WEBHOOK_SECRET)) {
+    log.warn('Rejected webhook with invalid secret token', { channel: 'telegram' });
+    return res.status(403).send('Invalid secret token');
+  }
+  next();
+}
+
+const telegramChannel = {
+  name: 'telegram',
+  isConfigured: () => !!(TELEGRAM_BOT_TOKEN && TELEGRAM_WEBHOOK_SECRET),
+  verify: validateTelegramRequest,
+
+  // One update per call. Photos come in several sizes - the last is the largest.
+  parseInbound(req) {
+    const message = req.body && req.body.message;
+    if (!message || !message.chat) return [];
+    const media = [];
+    if (message.photo && message.photo.length) {
+      media.push({ url: message.photo[message.photo.length - 1].file_id, contentType: 'image/jpeg' });
+    }
+    if (message.document) media.push({ url: message.document.file_id, contentType: message.document.mime_type || null });
+    return [{
+      // message_id is only unique within a chat
+      messageId: `tg:${message.chat.id}:${message.message_id}`,
+      from: String(message.chat.id),
+      to: null,
+      text: message.text || message.caption || '',
+      media,
+      language: message.from ? message.from.language_code : null
+    }];
+  },
+
+  accountFor: address => `tg${address}`,
+  addressFor: phoneNumber => phoneNumber.slice(2),
+
+  async sendText(to, text) {
+    await telegramRequest('sendMessage', { chat_id: to, text });
+  },
+
+  async sendImage(to, url, caption) {
+    await telegramRequest('sendPhoto', { chat_id: to, photo: url, caption: caption || undefined });
+  },
+
+  // Telegram only fetches PDF/ZIP/GIF documents by URL, so anything else is uploaded
+  async sendDocument(to, url, caption, from, filename) {
+    const file = await axios.get(url, { responseType: 'arraybuffer', timeout: 30000 });
+    const form = new FormData();
+    form.append('chat_id', to);
+    if (caption) form.append('caption', caption);
+    form.append('document', Buffer.from(file.data), { filename: filename || 'output.png' });
+    await telegramRequest('sendDocument', form, form.getHeaders());
+  },
+
+  async sendSticker(to, url) {
+    await telegramRequest('sendSticker', { chat_id: to, sticker: url });
+  },
+
+  async downloadMedia(fileId) {
+    const file = await telegramRequest('getFile', { file_id: fileId }).catch(error => { throw downloadError(error); });
+    const response = await axios.get(`https://api.telegram.org/file/bot${TELEGRAM_BOT_TOKEN}/${file.file_path}`, {
+      responseType: 'arraybuffer',
+      timeout: 30000,
+      maxContentLength: MAX_INPUT_BYTES
+    }).catch(error => { throw downloadError(error); });
+    log.info('Downloaded original', { channel: 'telegram', bytes: response.data.length });
+    return Buffer.from(response.data);
+  }
+};
+
+// Points Telegram at /webhook/telegram; safe to repeat on every start
+async function registerTelegramWebhook() {
+  try {
+    await telegramRequest('setWebhook', {
+      url: `${getBaseUrl()}/webhook/telegram`,
+      secret_token: TELEGRAM_WEBHOOK_SECRET,
+      allowed_updates: ['message']
+    });
+    log.info('Telegram webhook registered');
+  } catch (error) {
+    log.error('Telegram webhook registration failed', { err: error });
+  }
+}
+
+// Local channel for tests and development (CHANNEL_MOCK=true). POST /webhook/mock with
+// { messageId, from, to, text, media: [{ url, contentType }] }; replies are kept in outbox.
+// Unauthenticated and able to speak for any number, so never on in production.
+const mockChannel = {
+  name: 'mock',
+  outbox: [],
+  isConfigured: () => process.env.CHANNEL_MOCK === 'true' && !IS_PRODUCTION,
+  verify: (req, res, next) => next(),
+
+  parseInbound(req) {
+    const body = req.body || {};
+    if (!body.from) return [];
+    return [{
+      messageId: body.messageId ? `mock:${body.messageId}` : null,
+      from: body.from,
+      to: body.to || null,
+      text: body.text || '',
+      media: Array.isArray(body.media) ? body.media : [],
+      language: body.language || null
+    }];
+  },
+
+  accountFor: address => address,
+  addressFor: phoneNumber => phoneNumber,
+
+  async sendText(to, text, from) {
+    mockChannel.record({ type: 'text', to, from, text });
+  },
+
+  async sendImage(to, url, caption, from) {
+    mockChannel.record({ type: 'image', to, from, url, caption });
+  },
+
+  async sendDocument(to, url, caption, from, filename) {
+    mockChannel.record({ type: 'document', to, from, url, caption, filename });
+  },
+
+  async sendSticker(to, url, from) {
+    mockChannel.record({ type: 'sticker', to, from, url });
+  },
+
+  // plain GET - point media URLs at a local fake server
+  async downloadMedia(url) {
+    const response = await axios.get(url, { responseType: 'arraybuffer', timeout: 30000, maxContentLength: MAX_INPUT_BYTES })
+      .catch(error => { throw downloadError(error); });
+    return Buffer.from(response.data);
+  },
+
+  record(message) {
+    log.debug('Mock channel send', { type: message.type, to: message.to });
+    mockChannel.outbox.push({ ...message, at: new Date() });
+  }
+};
+
+const CHANNELS = {
+  twilio: twilioChannel,
+  whatsapp_cloud: whatsappCloudChannel,
+  telegram: telegramChannel,
+  mock: mockChannel
+};
+
+// Jobs from before channels existed say 'whatsapp'; users from then have no channel at all
+function getChannel(name) {
+  const channel = CHANNELS[!name || name === 'whatsapp' ? 'twilio' : name];
+  if (!channel) throw new Error(`Unknown channel: ${name}`);
+  return channel;
+}
+
+// Anything with { channel, phoneNumber, botNumber } can be replied to - a user, a job, a batch
+// or a webhook's ctx.recipient. Text sends log and carry on, as they always have.
+async function sendMessage(recipient, body) {
+  try {
+    const channel = getChannel(recipient.channel);
+    await channel.sendText(channel.addressFor(recipient.phoneNumber), body, recipient.botNumber || null);
+    log.info('Message sent', { channel: channel.name, phoneNumber: recipient.phoneNumber });
+  } catch (error) {
+    log.error('Send failed', { phoneNumber: recipient.phoneNumber, err: error });
+  }
+}
+
+async function sendImage(recipient, imageUrl, caption) {
+  try {
+    const channel = getChannel(recipient.channel);
+    await channel.sendImage(channel.addressFor(recipient.phoneNumber), imageUrl, caption, recipient.botNumber || null);
+    log.info('Image sent', { channel: channel.name, phoneNumber: recipient.phoneNumber });
+  } catch (error) {
+    log.error('Send image failed', { phoneNumber: recipient.phoneNumber, err: error });
+  }
+}
+
+async function sendDocument(recipient, fileUrl, caption, filename) {
+  const channel = getChannel(recipient.channel);
+  await channel.sendDocument(channel.addressFor(recipient.phoneNumber), fileUrl, caption, recipient.botNumber || null, filename);
+}
+
+async function sendSticker(recipient, stickerUrl) {
+  const channel = getChannel(recipient.channel);
+  await channel.sendSticker(channel.addressFor(recipient.phoneNumber), stickerUrl, recipient.botNumber || null);
+}
+
+const enabledChannels = Object.values(CHANNELS).filter(channel => channel.isConfigured()).map(channel => channel.name);
+
+// Payment and admin notices go to the channel the user last wrote from
+function notifyUser(user, body) {
+  return sendMessage(user, body);
+}
+
+module.exports = {
+  validateTwilioRequest,
+  twilioChannel,
+  whatsappCloudChannel,
+  telegramChannel,
+  registerTelegramWebhook,
+  mockChannel,
+  getChannel,
+  sendMessage,
+  sendImage,
+  sendDocument,
+  sendSticker,
+  enabledChannels,
+  notifyUser
+};
@@ -0,0 +1,346 @@
+// Text commands and the answers to pending questions (conversation state).
+
+const { RETENTION_DAYS, REFERRAL_BONUS, REFERRAL_WINDOW_DAYS } = require('../config');
+const { LANGUAGES, t, findLanguage } = require('../messages');
+const { getBaseUrl, formatDate } = require('../utils');
+const { getPlan, getCreditPack, formatPrice, getQuota, getPaidPlans, getCatalogue, getUserData } = require('./users');
+const { checkPromoCode, applyReferral } = require('./referrals');
+const { getPreset, OUTPUT_PRESETS, parseColor, describeBackground } = require('./images');
+const { notifyUser } = require('./channels');
+const { discardBackdrop } = require('./storage');
+const { setConversation, clearConversation } = require('./conversation');
+const { HISTORY_DEFAULT, HISTORY_MAX, getHistory, formatHistory, resendResult } = require('./jobs');
+
+// Answers to a pending question. A handler returns true if it consumed the message;
+// otherwise the message is routed as a normal command and the state is kept.
+const conversationHandlers = {
+  async awaiting_plan_choice(ctx, words) {
+    const options = ctx.conversation.data.options || [];
+    const n = parseInt(words[0]);
+    const code = n >= 1 && n <= options.length ? options[n - 1] : options.find(o => o === words.join(''));
+    if (!code) return false;
+    if (!process.env.RAZORPAY_KEY_ID) {
+      await ctx.reply('payments_not_configured');
+      return true;
+    }
+    // getPlan falls back to the free plan, so only take it when the code really is a plan
+    const plan = await getPlan(code);
+    const item = await getCreditPack(code) || (plan.code === code ? plan : null);
+    if (!item) return false;
+    await setConversation(ctx.user, 'awaiting_payment', { item: code });
+    await ctx.reply('pay_link_item', {
+      name: item.name,
+      price: formatPrice(item.price, item.currency),
+      url: `${getBaseUrl()}/pay/${ctx.from.replace('+', '')}?item=${encodeURIComponent(code)}`
+    });
+    return true;
+  }
+};
+
+// --- Commands ---
+// Each command is { name, aliases, takesArgs, anywhere, run(ctx, args) }. The webhook only routes; a new
+// command is added by registering it here. Aliases may be several words ('sticker off').
+// anywhere: the name is unambiguous enough to be picked out of a sentence. Other commands without
+// arguments ('yes', 'pay', 'hi'...) must be the whole message - "yes I want to stop" is not CONFIRM.
+const commands = [];
+
+function registerCommand(command) {
+  commands.push({ aliases: [], takesArgs: false, anywhere: false, ...command });
+}
+
+// Lowercase, punctuation stripped ("Upgrade!" -> "upgrade"); # is kept for BG #ff0000
+function normalizeText(text) {
+  return (text || '').toLowerCase().replace(/[^\p{L}\p{M}\p{N}#\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Edits (insert, delete, substitute, swap two neighbours) to turn a into b - "stauts" is 1 from "status"
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// Finds the command for a message: exact name/alias at the start, then an `anywhere` command name
+// later in the message ("please send status"), then a typo of the first word ("upgarde"). Returns { command, args } or null.
+function matchCommand(words) {
+  if (words.length === 0) return null;
+  const fits = (command, length) => command.takesArgs || command.anywhere || words.length === length;
+
+  let best = null;
+  for (const command of commands) {
+    for (const alias of [command.name, ...command.aliases]) {
+      const aliasWords = alias.split(' ');
+      if (fits(command, aliasWords.length) && aliasWords.every((word, i) => words[i] === word) && (!best || aliasWords.length > best.length)) {
+        best = { command, length: aliasWords.length };
+      }
+    }
+  }
+  if (best) return { command: best.command, args: words.slice(best.length) };
+
+  for (const word of words) {
+    const command = commands.find(c => c.anywhere && !c.takesArgs && c.name === word);
+    if (command) return { command, args: [] };
+  }
+
+  let closest = null;
+  for (const command of commands) {
+    if (!fits(command, 1)) continue;
+    for (const alias of [command.name, ...command.aliases]) {
+      if (alias.includes(' ') || alias.length < 4) continue;
+      const distance = editDistance(words[0], alias);
+      const allowed = alias.length >= 7 ? 2 : 1;
+      if (distance <= allowed && (!closest || distance < closest.distance)) closest = { command, distance };
+    }
+  }
+  return closest ? { command: closest.command, args: words.slice(1) } : null;
+}
+
+registerCommand({
+  name: 'start',
+  aliases: ['hello', 'hi', 'hey', 'menu', 'namaste', 'vanakkam', 'salaam'],
+  async run(ctx) {
+    const quota = await getQuota(ctx.user);
+    await ctx.reply('welcome', {
+      plan: quota.plan.name.toUpperCase(),
+      used: ctx.user.imagesProcessed,
+      limit: quota.limit,
+      creditsLine: quota.credits ? t(ctx.lang, 'credits_line', { credits: quota.credits }) : ''
+    });
+  }
+});
+
+registerCommand({
+  name: 'status',
+  anywhere: true,
+  aliases: ['usage', 'balance', 'account', 'quota'],
+  async run(ctx) {
+    const { user, lang } = ctx;
+    const quota = await getQuota(user);
+    let status = t(lang, 'status', { plan: quota.plan.name.toUpperCase(), used: user.imagesProcessed, limit: quota.limit, credits: quota.credits });
+    if (user.tier !== 'free' && user.premiumUntil) status += t(lang, 'status_active_until', { date: formatDate(user.premiumUntil) });
+    if (user.referralCode) status += t(lang, 'status_referral', { code: user.referralCode, count: user.referralCount });
+    if (user.promoCode) {
+      const { promo } = await checkPromoCode(user.promoCode, user.phoneNumber);
+      if (promo) status += t(lang, 'status_promo', { code: promo.code, percent: promo.discountPercent });
+    }
+    await ctx.send(status);
+  }
+});
+
+registerCommand({
+  name: 'help',
+  anywhere: true,
+  aliases: ['commands', 'info'],
+  async run(ctx) {
+    await ctx.reply('help');
+  }
+});
+
+registerCommand({
+  name: 'cancel',
+  aliases: ['nevermind', 'back'],
+  async run(ctx) {
+    if (!ctx.conversation) return ctx.reply('nothing_to_cancel');
+    await clearConversation(ctx.user);
+    await ctx.reply('cancelled');
+  }
+});
+
+registerCommand({
+  name: 'language',
+  aliases: ['lang', 'bhasha', 'மொழி', 'زبان'],
+  takesArgs: true,
+  async run(ctx, args) {
+    const chosen = findLanguage(args.join(' '));
+    if (!chosen) {
+      const available = Object.keys(LANGUAGES).map(code => `${LANGUAGES[code].name} (${code.toUpperCase()})`).join(', ');
+      return ctx.reply('language_info', { current: LANGUAGES[ctx.lang].name, available });
+    }
+    ctx.user.language = chosen;
+    await ctx.user.save();
+    await ctx.send(t(chosen, 'language_set'));
+  }
+});
+
+registerCommand({
+  name: 'preset',
+  aliases: ['size'],
+  takesArgs: true,
+  async run(ctx, args) {
+    const { user, lang } = ctx;
+    const value = args.join(' ');
+    if (value === 'none') {
+      user.outputPreset = null;
+    } else if (getPreset(value)) {
+      user.outputPreset = value;
+    } else {
+      const current = getPreset(user.outputPreset);
+      const names = Object.keys(OUTPUT_PRESETS).map(n => n.toUpperCase()).join(', ');
+      return ctx.reply('preset_info', { current: current ? current.label : t(lang, 'preset_none'), available: names });
+    }
+    await user.save();
+    const chosen = getPreset(user.outputPreset);
+    await (chosen ? ctx.reply('preset_set', chosen) : ctx.reply('preset_cleared'));
+  }
+});
+
+registerCommand({
+  name: 'sticker',
+  aliases: ['stickers'],
+  takesArgs: true,
+  async run(ctx, args) {
+    const on = args[0] !== 'off';
+    ctx.user.outputPreset = on ? 'sticker' : null;
+    await ctx.user.save();
+    await ctx.reply(on ? 'sticker_on' : 'sticker_off');
+  }
+});
+
+registerCommand({
+  name: 'bg',
+  aliases: ['background'],
+  takesArgs: true,
+  async run(ctx, args) {
+    const { user, lang } = ctx;
+    const value = args.join(' ');
+    const previous = { imageKey: user.background.imageKey, imageStorage: user.background.imageStorage };
+    if (value === 'blur') {
+      user.background = { mode: 'blur', color: null, imageUrl: null };
+    } else if (value === 'none' || value === 'transparent') {
+      user.background = { mode: 'transparent', color: null, imageUrl: null };
+    } else if (parseColor(value)) {
+      user.background = { mode: 'color', color: parseColor(value), imageUrl: null };
+    } else {
+      return ctx.reply('bg_info', { current: describeBackground(user.background, lang) });
+    }
+    await user.save();
+    await discardBackdrop(previous);
+    await ctx.reply('bg_set', { current: describeBackground(user.background, lang) });
+  }
+});
+
+registerCommand({
+  name: 'backdrop',
+  async run(ctx) {
+    await setConversation(ctx.user, 'awaiting_backdrop');
+    await ctx.reply('backdrop_prompt');
+  }
+});
+
+registerCommand({
+  name: 'history',
+  aliases: ['recent', 'images'],
+  takesArgs: true,
+  async run(ctx, args) {
+    const limit = Math.min(parseInt(args[0]) || HISTORY_DEFAULT, HISTORY_MAX);
+    const jobs = await getHistory(ctx.from, limit);
+    if (jobs.length === 0) return ctx.reply('history_empty');
+    await ctx.send(formatHistory(jobs, ctx.lang));
+  }
+});
+
+registerCommand({
+  name: 'resend',
+  aliases: ['again'],
+  takesArgs: true,
+  async run(ctx, args) {
+    const n = parseInt(args[0]) || 1;
+    const jobs = await getHistory(ctx.from, Math.min(n, HISTORY_MAX));
+    const job = jobs[n - 1];
+    if (!job) return ctx.reply('resend_missing', { n });
+    if (job.status !== 'completed' || !job.result) return ctx.reply('resend_failed', { n });
+    if (job.result.deletedAt) return ctx.reply('resend_deleted', { n, days: RETENTION_DAYS });
+    await resendResult(job, ctx.recipient, ctx.lang);
+  }
+});
+
+registerCommand({
+  name: 'ref',
+  aliases: ['referral', 'refer', 'invite'],
+  takesArgs: true,
+  async run(ctx, args) {
+    const { user } = ctx;
+    if (!args.length) {
+      return ctx.reply('ref_info', { code: user.referralCode, bonus: REFERRAL_BONUS, count: user.referralCount });
+    }
+    const { status, referrer } = await applyReferral(user, args[0]);
+    if (status === 'pending') return ctx.reply('ref_pending', { bonus: REFERRAL_BONUS });
+    if (status !== 'applied') return ctx.reply(`ref_${status}`, { days: REFERRAL_WINDOW_DAYS });
+    await ctx.reply('ref_applied', { bonus: REFERRAL_BONUS, credits: user.credits });
+    await notifyUser(referrer, t(referrer.language, 'ref_referrer_bonus', { bonus: REFERRAL_BONUS }));
+  }
+});
+
+registerCommand({
+  name: 'promo',
+  aliases: ['coupon', 'voucher'],
+  takesArgs: true,
+  async run(ctx, args) {
+    const { user } = ctx;
+    if (!args.length) return ctx.reply('promo_info');
+    const { promo, error } = await checkPromoCode(args[0], user.phoneNumber);
+    if (error) return ctx.reply(`promo_${error}`);
+    user.promoCode = promo.code;
+    await user.save();
+    await ctx.reply('promo_saved', { code: promo.code, percent: promo.discountPercent });
+  }
+});
+
+registerCommand({
+  name: 'upgrade',
+  anywhere: true,
+  aliases: ['premium', 'buy', 'plans', 'pricing'],
+  async run(ctx) {
+    const { lang } = ctx;
+    const [plans, { packs }] = await Promise.all([getPaidPlans(), getCatalogue()]);
+    const options = [];
+    const lines = plans.map(p => {
+      options.push(p.code);
+      return `${options.length}. ${t(lang, 'upgrade_plan', { name: p.name, price: formatPrice(p.price, p.currency), quota: p.monthlyQuota })}`;
+    });
+    if (packs.length) {
+      lines.push('', t(lang, 'upgrade_packs'));
+      packs.forEach(p => {
+        options.push(p.code);
+        lines.push(`${options.length}. ${p.name}: ${formatPrice(p.price, p.currency)}`);
+      });
+    }
+    await setConversation(ctx.user, 'awaiting_plan_choice', { options });
+    await ctx.send(`${lines.join('\n')}\n\n${t(lang, 'upgrade_footer')}`);
+  }
+});
+
+registerCommand({
+  name: 'confirm',
+  aliases: ['pay', 'yes'],
+  async run(ctx) {
+    if (!process.env.RAZORPAY_KEY_ID) return ctx.reply('payments_not_configured');
+    await setConversation(ctx.user, 'awaiting_payment');
+    await ctx.reply('pay_link', { url: `${getBaseUrl()}/pay/${ctx.from.replace('+', '')}` });
+  }
+});
+
+registerCommand({
+  name: 'verify',
+  aliases: ['paid'],
+  async run(ctx) {
+    // Refresh user data from database
+    const updatedUser = await getUserData(ctx.from);
+    if (updatedUser && (updatedUser.tier !== 'free' || updatedUser.credits > 0)) {
+      await clearConversation(updatedUser);
+      const quota = await getQuota(updatedUser);
+      await ctx.reply('payment_verified', { plan: quota.plan.name, remaining: quota.remaining });
+    } else {
+      await ctx.reply('payment_pending');
+    }
+  }
+});
+
+module.exports = { conversationHandlers, normalizeText, matchCommand };
@@ -0,0 +1,28 @@
+
+// Multi-step flows (UPGRADE -> pick a plan -> VERIFY, BACKDROP -> send image) park the user in a
+// state on their User document until they answer, send CANCEL or the state times out.
+const CONVERSATION_TIMEOUTS = {
+  awaiting_backdrop: 10 * 60 * 1000,
+  awaiting_plan_choice: 15 * 60 * 1000,
+  awaiting_payment: 60 * 60 * 1000
+};
+
+function getConversation(user) {
+  const conversation = user.conversation;
+  if (!conversation || !conversation.state) return null;
+  if (conversation.expiresAt && conversation.expiresAt <= new Date()) return null;
+  return conversation;
+}
+
+async function setConversation(user, state, data = {}) {
+  user.conversation = { state, data, expiresAt: new Date(Date.now() + CONVERSATION_TIMEOUTS[state]) };
+  await user.save();
+}
+
+async function clearConversation(user) {
+  if (!user.conversation || !user.conversation.state) return;
+  user.conversation = { state: null, data: null, expiresAt: null };
+  await user.save();
+}
+
+module.exports = { getConversation, setConversation, clearConversation };
@@ -0,0 +1,45 @@
+// Readiness checks behind /readyz and /.
+
+const mongoose = require('mongoose');
+const { MONGODB_URI, STORAGE_BACKEND } = require('../config');
+const { getActiveProviders } = require('./providers');
+const { storageBackends } = require('./storage');
+const { enabledChannels } = require('./channels');
+
+const READINESS_TIMEOUT = 2000;
+
+// What a replica needs to do useful work: Mongo reachable, a storage backend, a provider, a channel
+async function checkReadiness() {
+  const checks = {};
+
+  if (!MONGODB_URI || mongoose.connection.readyState !== 1) {
+    checks.mongo = { ok: false, error: MONGODB_URI ? 'not connected' : 'MONGODB_URI not set' };
+  } else {
+    let timer;
+    try {
+      await Promise.race([
+        mongoose.connection.db.admin().ping(),
+        new Promise((resolve, reject) => { timer = setTimeout(() => reject(new Error('ping timed out')), READINESS_TIMEOUT); })
+      ]);
+      checks.mongo = { ok: true };
+    } catch (error) {
+      checks.mongo = { ok: false, error: error.message };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  const storage = storageBackends[STORAGE_BACKEND];
+  checks.storage = storage && storage.isConfigured()
+    ? { ok: true, backend: STORAGE_BACKEND }
+    : { ok: false, backend: STORAGE_BACKEND, error: 'not configured' };
+
+  const providers = getActiveProviders().map(provider => provider.name);
+  checks.providers = providers.length ? { ok: true, active: providers } : { ok: false, error: 'no provider configured' };
+
+  checks.channels = enabledChannels.length ? { ok: true, active: enabledChannels } : { ok: false, error: 'no channel configured' };
+
+  return { ready: Object.values(checks).every(check => check.ok), checks };
+}
+
+module.exports = { checkReadiness };
@@ -0,0 +1,311 @@
+// Image handling that doesn't depend on where the image came from: validating and normalising
+// originals, background replacement and output presets.
+
+const axios = require('axios');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const heicConvert = require('heic-convert');
+const sharp = require('sharp');
+const { log } = require('../logger');
+const { DEFAULT_LANGUAGE, t } = require('../messages');
+const { readStoredFile } = require('./storage');
+
+// Originals are checked and normalised before any provider sees them, so a PDF or a video never
+// costs a remove.bg call and HEIC/animated/sideways photos come out right.
+const MAX_INPUT_BYTES = 25 * 1024 * 1024;
+// remove.bg accepts up to 25 megapixels; the local model resizes to LOCAL_MODEL_SIZE anyway
+const MAX_INPUT_PIXELS = 25 * 1000 * 1000;
+const MIN_INPUT_SIDE = 32;
+const DECODABLE_FORMATS = ['jpeg', 'png', 'gif', 'webp', 'tiff', 'avif', 'heic'];
+
+// A problem with the image itself (or fetching it). code picks the message the user gets
+// (error_<code> in messages.js); only retryable ones go back on the queue.
+class ImageError extends Error {
+  constructor(code, message, { retryable = false } = {}) {
+    super(message);
+    this.name = 'ImageError';
+    this.code = code;
+    this.retryable = retryable;
+  }
+}
+
+// File type from magic bytes - Twilio's content type is whatever the sender's phone claimed
+function sniffFileType(buffer) {
+  const hex = buffer.subarray(0, 8).toString('hex');
+  const ascii = buffer.subarray(0, 12).toString('latin1');
+  if (hex.startsWith('ffd8ff')) return 'jpeg';
+  if (hex === '89504e470d0a1a0a') return 'png';
+  if (ascii.startsWith('GIF87a') || ascii.startsWith('GIF89a')) return 'gif';
+  if (ascii.startsWith('RIFF') && ascii.slice(8, 12) === 'WEBP') return 'webp';
+  if (ascii.startsWith('II*\0') || ascii.startsWith('MM\0*')) return 'tiff';
+  if (ascii.startsWith('BM')) return 'bmp';
+  if (ascii.startsWith('%PDF')) return 'pdf';
+  if (ascii.slice(4, 8) === 'ftyp') {
+    // ISO media: the brands say whether it's a still image or a video
+    const brands = buffer.subarray(8, 32).toString('latin1');
+    if (brands.includes('avif')) return 'avif';
+    if (/hei[cxms]|hev[cx]|mif1|msf1/.test(brands)) return 'heic';
+    return 'video';
+  }
+  if (hex.startsWith('1a45dfa3')) return 'video';
+  if (hex.startsWith('504b0304')) return 'zip';
+  return null;
+}
+
+// Returns { buffer, format, width, height }: a JPEG or PNG the right way up, first frame only,
+// within MAX_INPUT_PIXELS. Plain JPEG/PNG that need no changes are passed through untouched.
+async function prepareImage(original) {
+  if (original.length > MAX_INPUT_BYTES) {
+    throw new ImageError('too_large', `Image is ${(original.length / 1024 / 1024).toFixed(1)}MB (max 25MB)`);
+  }
+  const type = sniffFileType(original);
+  if (!type || ['pdf', 'video', 'zip'].includes(type)) throw new ImageError('not_an_image', `Not an image (${type || 'unknown type'})`);
+  if (!DECODABLE_FORMATS.includes(type)) throw new ImageError('unsupported_format', `Unsupported image format: ${type}`);
+
+  let input = original;
+  if (type === 'heic') {
+    // sharp's prebuilt libheif only decodes AVIF
+    try {
+      input = Buffer.from(await heicConvert({ buffer: original, format: 'JPEG', quality: 0.92 }));
+    } catch (error) {
+      throw new ImageError('corrupt', `Could not decode HEIC: ${error.message}`);
+    }
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(input).metadata();
+  } catch (error) {
+    throw new ImageError('corrupt', `Could not read image: ${error.message}`);
+  }
+  // EXIF orientations 5-8 are rotated 90 degrees, so width and height swap
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+  if (!width || !height) throw new ImageError('corrupt', 'Image has no dimensions');
+  if (Math.min(width, height) < MIN_INPUT_SIDE) throw new ImageError('too_small', `Image is only ${width}x${height}`);
+
+  const scale = Math.min(1, Math.sqrt(MAX_INPUT_PIXELS / (width * height)));
+  const upright = !metadata.orientation || metadata.orientation === 1;
+  if ((type === 'jpeg' || type === 'png') && upright && scale === 1) {
+    return { buffer: original, format: type, width, height };
+  }
+
+  const target = { width: Math.floor(width * scale), height: Math.floor(height * scale) };
+  try {
+    // sharp decodes only the first frame of an animated GIF/WebP unless asked for more
+    const pipeline = sharp(input).rotate().resize(target.width, target.height, { fit: 'inside' });
+    const buffer = metadata.hasAlpha ? await pipeline.png().toBuffer() : await pipeline.jpeg({ quality: 92 }).toBuffer();
+    log.info('Prepared image', { type, width, height, format: metadata.hasAlpha ? 'png' : 'jpeg', outWidth: target.width, outHeight: target.height });
+    return { buffer, format: metadata.hasAlpha ? 'png' : 'jpeg', ...target };
+  } catch (error) {
+    throw new ImageError('corrupt', `Could not convert image: ${error.message}`);
+  }
+}
+
+// axios errors from fetching an original -> ImageError (too large is final, the rest is retried)
+function downloadError(error) {
+  if (/maxContentLength/i.test(error.message)) return new ImageError('too_large', 'Image is larger than the download limit');
+  const status = error.response ? ` (HTTP ${error.response.status})` : '';
+  return new ImageError('download_failed', `Could not download image${status}: ${error.message}`, { retryable: true });
+}
+
+// Upload / image_url limit for the public API
+const API_MAX_UPLOAD_BYTES = 15 * 1024 * 1024;
+
+// Loopback, private, link-local and CGNAT ranges - API image_url must not reach our own network
+function isPrivateAddress(address) {
+  const v4 = address.replace(/^::ffff:/, '');
+  if (/^\d+\.\d+\.\d+\.\d+$/.test(v4)) {
+    const [a, b] = v4.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127);
+  }
+  const v6 = address.toLowerCase();
+  return v6 === '::' || v6 === '::1' || v6.startsWith('fc') || v6.startsWith('fd') || v6.startsWith('fe80');
+}
+
+// image_url from the public API: http(s) only, public hosts only, size-capped
+async function fetchPublicImage(imageUrl) {
+  let url;
+  try { url = new URL(imageUrl); } catch (_) { throw new ImageError('download_failed', 'Invalid image_url'); }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new ImageError('download_failed', 'image_url must be http or https');
+  // Every address the name resolves to must be public, and the request is pinned to the one we
+  // checked - resolving again at connect time would let a rebinding DNS server swap in an internal one
+  const addresses = await dns.promises.lookup(url.hostname, { all: true }).catch(() => {
+    throw new ImageError('download_failed', `Could not resolve ${url.hostname}`);
+  });
+  if (addresses.length === 0 || addresses.some(entry => isPrivateAddress(entry.address))) {
+    throw new ImageError('download_failed', 'image_url must point to a public host');
+  }
+  const [{ address, family }] = addresses;
+  const lookup = (hostname, options, callback) => options.all ? callback(null, [{ address, family }]) : callback(null, address, family);
+
+  const response = await axios.get(url.href, {
+    httpAgent: new http.Agent({ lookup }),
+    httpsAgent: new https.Agent({ lookup }),
+    responseType: 'arraybuffer',
+    timeout: 30000,
+    maxRedirects: 0,
+    maxContentLength: API_MAX_UPLOAD_BYTES
+  }).catch(error => { throw downloadError(error); });
+  log.info('Downloaded original', { channel: 'api', bytes: response.data.length });
+  return Buffer.from(response.data);
+}
+
+// --- Background replacement ---
+const NAMED_COLORS = {
+  white: '#ffffff',
+  black: '#000000',
+  grey: '#808080',
+  gray: '#808080',
+  red: '#ff0000',
+  green: '#00ff00',
+  blue: '#0000ff',
+  yellow: '#ffff00'
+};
+
+// "white" / "#f00" / "#ff0000" -> "#ff0000", anything else -> null
+function parseColor(value) {
+  const v = (value || '').trim().toLowerCase();
+  if (NAMED_COLORS[v]) return NAMED_COLORS[v];
+  const short = v.match(/^#?([0-9a-f])([0-9a-f])([0-9a-f])$/);
+  if (short) return `#${short[1]}${short[1]}${short[2]}${short[2]}${short[3]}${short[3]}`;
+  const long = v.match(/^#?([0-9a-f]{6})$/);
+  if (long) return `#${long[1]}`;
+  return null;
+}
+
+function describeBackground(background, lang = DEFAULT_LANGUAGE) {
+  switch (background && background.mode) {
+    case 'color': return t(lang, 'bg_color', { color: background.color });
+    case 'blur': return t(lang, 'bg_blur');
+    case 'image': return t(lang, 'bg_image');
+    default: return t(lang, 'bg_transparent');
+  }
+}
+
+// Composite the transparent cut-out onto the user's chosen background. Always returns a PNG.
+async function applyBackground(cutout, originalBuffer, background) {
+  const mode = background && background.mode;
+  if (!mode || mode === 'transparent') return cutout;
+
+  const { width, height } = await sharp(cutout).metadata();
+
+  if (mode === 'color') {
+    return sharp(cutout).flatten({ background: background.color || '#ffffff' }).png().toBuffer();
+  }
+
+  let backdrop;
+  if (mode === 'blur') {
+    backdrop = await sharp(originalBuffer).rotate().resize(width, height, { fit: 'cover' }).blur(20).toBuffer();
+  } else if (mode === 'image') {
+    let source;
+    if (background.imageKey) {
+      source = await readStoredFile({ storage: background.imageStorage, key: background.imageKey });
+    } else {
+      const resp = await axios.get(background.imageUrl, { responseType: 'arraybuffer', timeout: 30000 });
+      source = Buffer.from(resp.data);
+    }
+    backdrop = await sharp(source).rotate().resize(width, height, { fit: 'cover' }).toBuffer();
+  } else {
+    return cutout;
+  }
+
+  return sharp(backdrop)
+    .composite([{ input: cutout }])
+    .removeAlpha()
+    .png()
+    .toBuffer();
+}
+
+// --- Output presets ---
+// Applied to the cut-out before upload: trim to the subject, scale it to `fill` of the canvas,
+// centre it, then flatten/encode. `background` overrides the user's BG setting when set.
+const OUTPUT_PRESETS = {
+  amazon: { label: 'Amazon', width: 2000, height: 2000, fill: 0.85, background: '#ffffff', format: 'png' },
+  flipkart: { label: 'Flipkart', width: 1500, height: 1500, fill: 0.85, background: '#ffffff', format: 'png' },
+  instagram: { label: 'Instagram', width: 1080, height: 1350, fill: 0.9, background: null, format: 'png' },
+  square: { label: 'Square', width: 1080, height: 1080, fill: 0.9, background: null, format: 'png' },
+  sticker: { label: 'Sticker', width: 512, height: 512, fill: 0.95, background: 'transparent', format: 'webp', sticker: true }
+};
+
+function getPreset(name) {
+  return (name && OUTPUT_PRESETS[name.toLowerCase()]) || null;
+}
+
+// Effective background for a preset: forced colour, forced transparent, or the user's own choice.
+function presetBackground(preset, userBackground) {
+  if (!preset || !preset.background) return userBackground;
+  if (preset.background === 'transparent') return { mode: 'transparent' };
+  return { mode: 'color', color: preset.background };
+}
+
+async function fitToPreset(cutout, preset) {
+  let subject = cutout;
+  try {
+    subject = await sharp(cutout).trim().toBuffer();
+  } catch (error) {
+    // nothing to trim (e.g. fully transparent/uniform image) - use it as is
+    log.warn('Trim skipped', { err: error });
+  }
+
+  const { data: scaled, info } = await sharp(subject)
+    .resize(Math.round(preset.width * preset.fill), Math.round(preset.height * preset.fill), { fit: 'inside' })
+    .toBuffer({ resolveWithObject: true });
+
+  // pad out to the canvas - resizing again would scale the subject back up to the edges
+  const left = Math.floor((preset.width - info.width) / 2);
+  const top = Math.floor((preset.height - info.height) / 2);
+  return sharp(scaled)
+    .extend({
+      left,
+      right: preset.width - info.width - left,
+      top,
+      bottom: preset.height - info.height - top,
+      background: { r: 0, g: 0, b: 0, alpha: 0 }
+    })
+    .png()
+    .toBuffer();
+}
+
+// WhatsApp only shows static stickers up to 100KB
+const STICKER_MAX_BYTES = 100 * 1024;
+
+async function encodeSticker(image) {
+  let output;
+  for (let quality = 90; quality >= 30; quality -= 15) {
+    output = await sharp(image).webp({ quality, alphaQuality: quality }).toBuffer();
+    if (output.length <= STICKER_MAX_BYTES) return output;
+  }
+  // still too big - last try at the lowest quality we accept
+  output = await sharp(image).webp({ quality: 20, alphaQuality: 50, smartSubsample: true }).toBuffer();
+  if (output.length > STICKER_MAX_BYTES) throw new Error('Could not fit sticker under WhatsApp 100KB limit');
+  return output;
+}
+
+function encodeForPreset(image, preset) {
+  const format = preset ? preset.format : 'png';
+  if (preset && preset.sticker) return encodeSticker(image);
+  if (format === 'webp') return sharp(image).webp({ quality: 90 }).toBuffer();
+  if (format === 'jpeg') return sharp(image).flatten({ background: '#ffffff' }).jpeg({ quality: 90 }).toBuffer();
+  return Promise.resolve(image);
+}
+
+module.exports = {
+  MAX_INPUT_BYTES,
+  ImageError,
+  prepareImage,
+  downloadError,
+  API_MAX_UPLOAD_BYTES,
+  fetchPublicImage,
+  parseColor,
+  describeBackground,
+  applyBackground,
+  OUTPUT_PRESETS,
+  getPreset,
+  presetBackground,
+  fitToPreset,
+  encodeForPreset
+};
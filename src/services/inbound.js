@@ -0,0 +1,196 @@
+// Handling of one inbound message from any channel: images are queued, text is routed to commands.
+
+const sharp = require('sharp');
+const { log } = require('../logger');
+const { DEFAULT_LANGUAGE, t, findLanguage, detectLanguage } = require('../messages');
+const metrics = require('../metrics');
+const { formatDate } = require('../utils');
+const { InboundMessage, Batch } = require('../models');
+const { getUserData } = require('./users');
+const { prepareImage, getPreset } = require('./images');
+const { getActiveProviders } = require('./providers');
+const { storeFile, discardBackdrop } = require('./storage');
+const { isTemporarilyBlocked, checkRateLimit } = require('./limits');
+const { getBudgetStatus, paidProvidersAllowed } = require('./budget');
+const { sendMessage } = require('./channels');
+const { getConversation, clearConversation } = require('./conversation');
+const { enqueueImageJob } = require('./jobs');
+const { normalizeText, conversationHandlers, matchCommand } = require('./commands');
+
+// Claims a MessageSid; false means Twilio already delivered this message to us
+async function claimInboundMessage(messageSid, phoneNumber) {
+  if (!messageSid) return true;
+  try {
+    await InboundMessage.create({ messageSid, phoneNumber });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+}
+
+// Store a user-supplied backdrop (sent with caption BACKDROP) and switch them to image mode.
+async function saveBackdrop(user, channel, mediaUrl) {
+  const original = await channel.downloadMedia(mediaUrl);
+  const prepared = await prepareImage(original);
+  const backdrop = await sharp(prepared.buffer)
+    .resize(2000, 2000, { fit: 'inside', withoutEnlargement: true })
+    .png()
+    .toBuffer();
+
+  const stored = await storeFile(backdrop, { phoneNumber: user.phoneNumber, prefix: 'backdrop' });
+  const previous = { imageKey: user.background.imageKey, imageStorage: user.background.imageStorage };
+  user.background = {
+    mode: 'image', color: null, imageUrl: stored.url, imageKey: stored.key, imageStorage: stored.storage, uploadedAt: new Date()
+  };
+  await user.save();
+  await discardBackdrop(previous);
+  return stored;
+}
+
+// One inbound message from any channel: message is what the adapter's parseInbound returned
+async function handleInbound(channel, message) {
+  const from = channel.accountFor(message.from);
+  const msg = message.text.toLowerCase().trim();
+  const numMedia = message.media.length;
+  const recipient = { channel: channel.name, phoneNumber: from, botNumber: message.to };
+
+  // Channels retry deliveries they think failed - handle each message id once
+  if (!await claimInboundMessage(message.messageId, from)) {
+    log.info('Duplicate webhook ignored', { channel: channel.name, messageId: message.messageId });
+    return;
+  }
+
+  const user = await getUserData(from);
+  
+  if (!user) {
+    await sendMessage(recipient, t(DEFAULT_LANGUAGE, 'error_generic'));
+    return;
+  }
+
+  // Blocked numbers are dropped silently - every reply costs us a message
+  if (user.blocked) {
+    log.info('Ignoring message from blocked number', { phoneNumber: from });
+    return;
+  }
+  if (isTemporarilyBlocked(user)) {
+    log.info('Ignoring message from temporarily blocked number', { phoneNumber: from, until: user.blockedUntil });
+    return;
+  }
+
+  // Replies and later notifications follow the user to whichever channel they last used
+  if (user.channel !== channel.name) {
+    user.channel = channel.name;
+    await user.save();
+  }
+
+  // The first text a new user sends picks their reply language (Telegram also tells us the
+  // app's language); LANGUAGE changes it later
+  if (!user.language && (message.text || message.language)) {
+    user.language = detectLanguage(message.text) || findLanguage(message.language) || DEFAULT_LANGUAGE;
+    await user.save();
+  }
+  const lang = user.language || DEFAULT_LANGUAGE;
+
+  // Going over a rate limit gets one reply saying when to come back, then silence until then
+  const limited = await checkRateLimit(user, numMedia);
+  if (limited) {
+    metrics.rateLimited.inc({ channel: channel.name, kind: limited.kind });
+    const minutes = Math.ceil((limited.until - Date.now()) / 60000);
+    await sendMessage(recipient, t(lang, 'rate_limited', { minutes }));
+    return;
+  }
+  
+  // Backdrop upload: an image with caption BACKDROP (or sent after the BACKDROP command)
+  // sets the background instead of being processed
+  const conversation = getConversation(user);
+  if (numMedia > 0 && (msg === 'backdrop' || (conversation && conversation.state === 'awaiting_backdrop'))) {
+    try {
+      await saveBackdrop(user, channel, message.media[0].url);
+      await clearConversation(user);
+      await sendMessage(recipient, t(lang, 'backdrop_saved'));
+    } catch (error) {
+      log.error('Backdrop error', { err: error });
+      await sendMessage(recipient, t(lang, 'backdrop_failed'));
+    }
+    return;
+  }
+
+  // Image handling
+  if (numMedia > 0) {
+    if (getActiveProviders().length === 0) {
+      await sendMessage(recipient, t(lang, 'not_configured'));
+      return;
+    }
+    
+    const media = message.media;
+    const images = media.filter(m => !m.contentType || m.contentType.startsWith('image/'));
+    const skipped = media.length - images.length;
+
+    if (images.length === 0) {
+      await sendMessage(recipient, t(lang, 'images_only'));
+      return;
+    }
+
+    // Over the remove.bg budget free users wait, unless a free provider can stand in
+    if (!await paidProvidersAllowed(user) && getActiveProviders({ includePaid: false }).length === 0) {
+      const budget = await getBudgetStatus();
+      metrics.budgetRejections.inc({ channel: channel.name });
+      await sendMessage(recipient, t(lang, 'budget_paused', { date: formatDate(budget.resetsAt) }));
+      return;
+    }
+
+    // A preset name as caption (e.g. AMAZON) applies to this message only
+    const preset = getPreset(msg) ? msg : user.outputPreset;
+
+    const batch = images.length > 1
+      ? await Batch.create({ phoneNumber: from, channel: channel.name, botNumber: message.to, total: images.length })
+      : null;
+
+    for (let i = 0; i < images.length; i++) {
+      await enqueueImageJob({
+        user,
+        channel: channel.name,
+        botNumber: message.to,
+        mediaUrl: images[i].url,
+        mediaContentType: images[i].contentType,
+        messageSid: message.messageId,
+        batch: batch ? batch._id : null,
+        batchIndex: i,
+        preset
+      });
+    }
+
+    // Acknowledge right away; the worker sends the result when it's ready.
+    let ack = images.length > 1 ? t(lang, 'processing_many', { count: images.length }) : t(lang, 'processing');
+    if (skipped) ack += '\n' + (skipped > 1 ? t(lang, 'attachments_skipped', { count: skipped }) : t(lang, 'attachment_skipped'));
+    sendMessage(recipient, ack);
+    return;
+  }
+  
+  // Text: a pending question gets the first look, then the command registry
+  const words = normalizeText(message.text).split(' ').filter(Boolean);
+  const ctx = {
+    message,
+    channel,
+    user,
+    from,
+    recipient,
+    lang,
+    conversation,
+    send: text => sendMessage(recipient, text),
+    reply: (key, vars) => sendMessage(recipient, t(lang, key, vars))
+  };
+  const answer = conversation && conversationHandlers[conversation.state];
+  if (answer && await answer(ctx, words)) return;
+
+  const match = matchCommand(words);
+  if (match) {
+    log.info('Command', { phoneNumber: from, command: match.command.name, args: match.args.length });
+    await match.command.run(ctx, match.args);
+  } else {
+    await ctx.reply('fallback');
+  }
+}
+
+module.exports = { handleInbound };
@@ -0,0 +1,379 @@
+// Job queue: images are queued as Jobs in Mongo and processed by a small in-process worker pool.
+// Also history (HISTORY/RESEND) and batch bookkeeping, which work off the same Job records.
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { FILE_LINK_TTL_DAYS, RETENTION_DAYS, REFERRAL_BONUS } = require('../config');
+const { log, withContext, getContext } = require('../logger');
+const { DEFAULT_LANGUAGE, t } = require('../messages');
+const metrics = require('../metrics');
+const { Job, Result, Batch, User } = require('../models');
+const { formatDate } = require('../utils');
+const { getPlan, getUserData, chargeImage, getQuota } = require('./users');
+const {
+  fetchPublicImage, getPreset, presetBackground, prepareImage, fitToPreset, applyBackground,
+  encodeForPreset, ImageError
+} = require('./images');
+const { removeBackground } = require('./providers');
+const { paidProvidersAllowed } = require('./budget');
+const { readStoredFile, getStorage, storeFile, createResult, getFileUrl } = require('./storage');
+const { getChannel, sendSticker, sendMessage, sendDocument, sendImage, notifyUser } = require('./channels');
+const { releaseReferralBonus } = require('./referrals');
+
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 2;
+const JOB_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS) || 3;
+const JOB_POLL_INTERVAL = parseInt(process.env.JOB_POLL_INTERVAL) || 2000;
+const JOB_BACKOFF_BASE = parseInt(process.env.JOB_BACKOFF_BASE) || 5000;
+const JOB_LOCK_TIMEOUT = 5 * 60 * 1000;
+const PREMIUM_PRIORITY = 10;
+
+let activeJobs = 0;
+let polling = false;
+
+// Images already accepted but not yet charged, so a second album can't overshoot the quota.
+async function countPendingJobs(phoneNumber) {
+  return Job.countDocuments({ phoneNumber, status: { $in: ['queued', 'processing'] } });
+}
+
+async function enqueueImageJob({
+  user, botNumber = null, mediaUrl, mediaContentType, messageSid = null, batch = null, batchIndex = 0, preset = null,
+  channel = 'twilio', apiKey = null, input = null, background = null
+}) {
+  const plan = await getPlan(user.tier);
+  const job = await Job.create({
+    phoneNumber: user.phoneNumber,
+    channel,
+    apiKey,
+    botNumber,
+    mediaUrl,
+    inputKey: input ? input.key : null,
+    inputStorage: input ? input.storage : null,
+    mediaContentType,
+    mediaSid: ((mediaUrl || '').match(/\/Media\/(ME[0-9a-f]+)/i) || [])[1] || null,
+    messageSid,
+    requestId: getContext().requestId || null,
+    batch,
+    batchIndex,
+    preset,
+    background,
+    priority: plan.features && plan.features.priority ? PREMIUM_PRIORITY : 0,
+    maxAttempts: JOB_MAX_ATTEMPTS
+  });
+  log.info('Job queued', { jobId: String(job._id), phoneNumber: user.phoneNumber, channel, priority: job.priority });
+  pollJobs();
+  return job;
+}
+
+// Atomically take the next runnable job - premium first, then oldest.
+async function claimNextJob() {
+  return Job.findOneAndUpdate(
+    { status: 'queued', runAt: { $lte: new Date() } },
+    { $set: { status: 'processing', lockedAt: new Date() }, $inc: { attempts: 1 } },
+    { sort: { priority: -1, runAt: 1 }, new: true }
+  );
+}
+
+// Jobs left in 'processing' by a crashed or restarted instance go back to the queue.
+async function requeueStaleJobs() {
+  const result = await Job.updateMany(
+    { status: 'processing', lockedAt: { $lt: new Date(Date.now() - JOB_LOCK_TIMEOUT) } },
+    { $set: { status: 'queued', lockedAt: null } }
+  );
+  if (result.modifiedCount) log.warn('Requeued stale jobs', { count: result.modifiedCount });
+}
+
+// --- Dedup ---
+function hashBuffer(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// Everything besides the source bytes that changes the output
+function getOptionsKey(preset, background) {
+  return JSON.stringify({
+    preset: preset ? preset.label : null,
+    background: background ? [background.mode || 'transparent', background.color || null, background.imageKey || background.imageUrl || null] : null
+  });
+}
+
+// Same user, same photo, same settings -> the earlier result (re-armed if its link expired)
+async function findCachedResult(phoneNumber, sourceHash, optionsKey) {
+  const result = await Result.findOne({ phoneNumber, sourceHash, optionsKey, deletedAt: null }).sort({ createdAt: -1 });
+  if (!result) return null;
+  if (result.expiresAt <= new Date()) {
+    result.expiresAt = new Date(Date.now() + FILE_LINK_TTL_DAYS * 24 * 60 * 60 * 1000);
+    await result.save();
+  }
+  return result;
+}
+
+// Source bytes for a job: an upload parked in storage, a public URL (API) or the channel's media
+async function loadJobInput(job) {
+  if (job.inputKey) return readStoredFile({ storage: job.inputStorage, key: job.inputKey });
+  if (job.channel === 'api') return fetchPublicImage(job.mediaUrl);
+  return getChannel(job.channel).downloadMedia(job.mediaUrl);
+}
+
+// Parked API uploads are only needed until the job finishes
+async function discardJobInput(job) {
+  if (!job.inputKey) return;
+  try {
+    await getStorage(job.inputStorage).remove({ key: job.inputKey });
+  } catch (error) {
+    log.error('Could not delete job input', { key: job.inputKey, err: error });
+  }
+}
+
+// A held (Telegram) referral pays out with the account's first processed image
+async function releaseHeldReferral(user) {
+  try {
+    const referrer = await releaseReferralBonus(user);
+    if (!referrer) return;
+    await notifyUser(user, t(user.language, 'ref_applied', { bonus: REFERRAL_BONUS, credits: user.credits }));
+    await notifyUser(referrer, t(referrer.language, 'ref_referrer_bonus', { bonus: REFERRAL_BONUS }));
+  } catch (error) {
+    log.error('Could not release referral bonus', { phoneNumber: user.phoneNumber, err: error });
+  }
+}
+
+// original may be passed in when the caller already has the bytes (synchronous API calls)
+async function processImageJob(job, original = null) {
+  const user = await getUserData(job.phoneNumber);
+  if (!user) throw new Error('User not found');
+
+  // A previous attempt may have got as far as uploading (and charging) before failing to send.
+  if (!job.result) {
+    const startedAt = Date.now();
+
+    if (!original) original = await loadJobInput(job);
+    const preset = getPreset(job.preset);
+    const background = presetBackground(preset, job.background || user.background);
+    const sourceHash = hashBuffer(original);
+    const optionsKey = getOptionsKey(preset, background);
+
+    const cached = await findCachedResult(job.phoneNumber, sourceHash, optionsKey);
+    if (cached) {
+      log.info('Repeat image, reusing result', { phoneNumber: job.phoneNumber, resultId: String(cached._id) });
+      job.result = cached._id;
+      job.resultUrl = cached.storageUrl;
+      job.cached = true;
+      job.provider = 'cache';
+      job.processingMs = Date.now() - startedAt;
+      await job.save();
+      if (job.channel !== 'api') await sendResult(job, cached, t(user.language, 'already_processed'));
+      return;
+    }
+
+    // Repeats above are free; anything else needs quota left when it would be charged
+    if ((await getQuota(user)).remaining <= 0) {
+      metrics.quotaRejections.inc({ channel: getMetricsChannel(job) });
+      throw new ImageError('quota_exceeded', 'No images left on the plan or credits');
+    }
+
+    // validated and normalised only now - the cache is keyed on the bytes as received
+    const prepared = await prepareImage(original);
+    const removal = await removeBackground(prepared.buffer, { includePaid: await paidProvidersAllowed(user) });
+    const cutout = removal.image;
+    log.info('Background removed', { provider: removal.provider, bytes: cutout.length });
+
+    const framed = preset ? await fitToPreset(cutout, preset) : cutout;
+    if (preset) log.debug('Applied preset', { preset: preset.label, width: preset.width, height: preset.height });
+
+    const composited = await applyBackground(framed, prepared.buffer, background);
+    if (composited !== framed) log.debug('Applied background', { background: background.mode });
+
+    const image = await encodeForPreset(composited, preset);
+    const stored = await storeFile(image, { phoneNumber: job.phoneNumber, format: preset ? preset.format : 'png' });
+    log.info('Stored result', { storage: stored.storage, bytes: image.length });
+    const result = await createResult({ phoneNumber: job.phoneNumber, stored, bytes: image.length, sourceHash, optionsKey });
+
+    job.chargedFrom = await chargeImage(user);
+    await releaseHeldReferral(user);
+
+    job.resultUrl = stored.url;
+    job.result = result._id;
+    job.provider = removal.provider;
+    job.providerCredits = removal.credits;
+    job.processingMs = Date.now() - startedAt;
+    await job.save();
+  }
+
+  if (job.channel === 'api') return;
+
+  const { remaining } = await getQuota(user);
+  const batch = job.batch ? await Batch.findById(job.batch) : null;
+  const caption = batch
+    ? t(user.language, 'done_batch', { index: job.batchIndex + 1, total: batch.total, remaining })
+    : t(user.language, 'done', { remaining });
+
+  const result = await Result.findById(job.result);
+  await sendResult(job, result, caption);
+}
+
+async function sendResult(job, result, caption) {
+  const proxyUrl = getFileUrl(result);
+
+  // Stickers can't carry a caption, and a document copy would arrive as a plain .webp file
+  if (getPreset(job.preset)?.sticker) {
+    await sendSticker(job, proxyUrl);
+    await sendMessage(job, caption);
+    return;
+  }
+
+  await sendDocument(job, proxyUrl, caption, result.filename);
+  await sendImage(job, proxyUrl, caption);
+}
+
+// --- History ---
+const HISTORY_DEFAULT = 5;
+const HISTORY_MAX = 20;
+
+// Finished jobs, newest first - HISTORY numbers them 1..N and RESEND n uses the same numbering
+async function getHistory(phoneNumber, limit) {
+  return Job.find({ phoneNumber, status: { $in: ['completed', 'dead'] } })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .populate('result');
+}
+
+function formatHistory(jobs, lang) {
+  const lines = jobs.map((job, i) => {
+    const when = formatDate(job.createdAt);
+    if (job.status === 'dead') return `${i + 1}. ${when} ${t(lang, 'history_failed')}`;
+    if (job.result && job.result.deletedAt) return `${i + 1}. ${when} ${t(lang, 'history_deleted', { days: RETENTION_DAYS })}`;
+    const preset = getPreset(job.preset);
+    return `${i + 1}. ${when} ✅${preset ? ` ${preset.label}` : ''}\n${job.result ? getFileUrl(job.result) : t(lang, 'history_file_missing')}`;
+  });
+  return t(lang, 'history', { count: jobs.length, lines: lines.join('\n\n') });
+}
+
+// Sends a previous result again without charging, to wherever the user is writing from now
+async function resendResult(job, recipient, lang) {
+  const result = job.result;
+  if (result.expiresAt <= new Date()) {
+    result.expiresAt = new Date(Date.now() + FILE_LINK_TTL_DAYS * 24 * 60 * 60 * 1000);
+    await result.save();
+  }
+  await sendResult({ ...recipient, preset: job.preset }, result, t(lang, 'resent', { date: formatDate(job.createdAt) }));
+}
+
+// Count a finished job against its batch; whoever finishes the last one sends the summary.
+async function recordBatchResult(job, succeeded) {
+  if (!job.batch) return;
+
+  const batch = await Batch.findByIdAndUpdate(
+    job.batch,
+    { $inc: succeeded ? { succeeded: 1 } : { failed: 1 } },
+    { new: true }
+  );
+  if (!batch || batch.succeeded + batch.failed !== batch.total) return;
+
+  const user = await getUserData(batch.phoneNumber);
+  const remaining = user ? (await getQuota(user)).remaining : 0;
+  const lang = user ? user.language : DEFAULT_LANGUAGE;
+  const summary = batch.failed
+    ? t(lang, 'batch_done_partial', { succeeded: batch.succeeded, failed: batch.failed, remaining })
+    : t(lang, 'batch_done_all', { total: batch.total, remaining });
+  await sendMessage(batch, summary);
+}
+
+// legacy 'whatsapp' jobs are counted as twilio
+function getMetricsChannel(job) {
+  return job.channel === 'api' ? 'api' : getChannel(job.channel).name;
+}
+
+async function runJob(job) {
+  const startedAt = Date.now();
+  try {
+    log.info('Job started', { attempt: job.attempts, maxAttempts: job.maxAttempts });
+    await processImageJob(job);
+    job.status = 'completed';
+    job.completedAt = new Date();
+    job.lockedAt = null;
+    job.lastError = null;
+    await job.save();
+    log.info('Job completed', { ms: Date.now() - startedAt, provider: job.provider });
+    metrics.imagesProcessed.inc({ channel: getMetricsChannel(job), outcome: job.cached ? 'cached' : 'completed' });
+    await discardJobInput(job);
+    await recordBatchResult(job, true);
+  } catch (error) {
+    log.warn('Job failed', { attempt: job.attempts, err: error });
+    job.lastError = error.message;
+    job.errorCode = error instanceof ImageError ? error.code : 'processing_failed';
+    job.lockedAt = null;
+
+    // a PDF stays a PDF - only retry what might work next time
+    const retryable = !(error instanceof ImageError) || error.retryable;
+    if (retryable && job.attempts < job.maxAttempts) {
+      // exponential backoff: base, 2x base, 4x base...
+      const delay = JOB_BACKOFF_BASE * Math.pow(2, job.attempts - 1);
+      job.status = 'queued';
+      job.runAt = new Date(Date.now() + delay);
+      await job.save();
+      log.info('Job retry scheduled', { delayMs: delay });
+    } else {
+      job.status = 'dead';
+      await job.save();
+      log.error('Job moved to dead-letter', { attempts: job.attempts, code: job.errorCode });
+      metrics.imagesProcessed.inc({ channel: getMetricsChannel(job), outcome: 'failed' });
+      await discardJobInput(job);
+      // API clients poll /api/v1/jobs/:id for the failure
+      if (job.channel === 'api') return;
+      const user = await User.findOne({ phoneNumber: job.phoneNumber });
+      const lang = user ? user.language : DEFAULT_LANGUAGE;
+      // never the raw error: it can carry provider responses and file paths
+      const reason = t(lang, `error_${job.errorCode}`);
+      const failure = job.batch
+        ? t(lang, 'job_failed_batch', { index: job.batchIndex + 1, error: reason })
+        : t(lang, 'job_failed', { error: reason });
+      await sendMessage(job, failure);
+      await recordBatchResult(job, false);
+    }
+  }
+}
+
+async function pollJobs() {
+  if (polling || mongoose.connection.readyState !== 1) return;
+  polling = true;
+  try {
+    while (activeJobs < JOB_CONCURRENCY) {
+      const job = await claimNextJob();
+      if (!job) break;
+      activeJobs++;
+      withContext({ jobId: String(job._id), requestId: job.requestId || undefined }, () => runJob(job))
+        .catch(err => log.error('Job runner error', { err }))
+        .finally(() => {
+          activeJobs--;
+          pollJobs();
+        });
+    }
+  } catch (error) {
+    log.error('Job poll error', { err: error });
+  } finally {
+    polling = false;
+  }
+}
+
+async function startWorkers() {
+  try {
+    await requeueStaleJobs();
+  } catch (error) {
+    log.error('Requeue error', { err: error });
+  }
+  setInterval(pollJobs, JOB_POLL_INTERVAL);
+  setInterval(() => requeueStaleJobs().catch(err => log.error('Requeue error', { err: err })), JOB_LOCK_TIMEOUT);
+  log.info('Job workers started', { concurrency: JOB_CONCURRENCY });
+  pollJobs();
+}
+
+module.exports = {
+  countPendingJobs,
+  enqueueImageJob,
+  processImageJob,
+  HISTORY_DEFAULT,
+  HISTORY_MAX,
+  getHistory,
+  formatHistory,
+  resendResult,
+  pollJobs,
+  startWorkers
+};
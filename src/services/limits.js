@@ -0,0 +1,47 @@
+// Per-number rate limits and temporary blocks. Events are logged in Mongo (RateEvent) rather than
+// in memory so the limits hold across replicas and restarts.
+
+const { RATE_LIMIT_WINDOW_SECONDS, RATE_LIMIT_MESSAGES, RATE_LIMIT_IMAGES, RATE_LIMIT_BLOCK_MINUTES } = require('../config');
+const { log } = require('../logger');
+const { RateEvent } = require('../models');
+
+function isTemporarilyBlocked(user) {
+  return !!user.blockedUntil && user.blockedUntil > new Date();
+}
+
+async function blockTemporarily(user, minutes, reason) {
+  user.blockedUntil = new Date(Date.now() + minutes * 60 * 1000);
+  user.blockedReason = reason;
+  user.blockedAt = new Date();
+  await user.save();
+}
+
+// Logs one message (with `images` images attached) and checks the sliding window.
+// Over a limit the number is blocked for RATE_LIMIT_BLOCK_MINUTES; returns { kind, until } then, else null.
+async function checkRateLimit(user, images = 0) {
+  if (!RATE_LIMIT_MESSAGES && !RATE_LIMIT_IMAGES) return null;
+
+  const { phoneNumber } = user;
+  const now = new Date();
+  const events = [{ phoneNumber, kind: 'message', createdAt: now }];
+  for (let i = 0; i < images; i++) events.push({ phoneNumber, kind: 'image', createdAt: now });
+  await RateEvent.insertMany(events);
+
+  // the TTL index sweeps only about once a minute, so filter on the window too
+  const since = new Date(now.getTime() - RATE_LIMIT_WINDOW_SECONDS * 1000);
+  const [messages, imageCount] = await Promise.all([
+    RATE_LIMIT_MESSAGES ? RateEvent.countDocuments({ phoneNumber, kind: 'message', createdAt: { $gt: since } }) : 0,
+    RATE_LIMIT_IMAGES && images ? RateEvent.countDocuments({ phoneNumber, kind: 'image', createdAt: { $gt: since } }) : 0
+  ]);
+
+  let kind = null;
+  if (RATE_LIMIT_MESSAGES && messages > RATE_LIMIT_MESSAGES) kind = 'messages';
+  else if (RATE_LIMIT_IMAGES && imageCount > RATE_LIMIT_IMAGES) kind = 'images';
+  if (!kind) return null;
+
+  await blockTemporarily(user, RATE_LIMIT_BLOCK_MINUTES, `rate_limit_${kind}`);
+  log.warn('Rate limit exceeded, number blocked', { phoneNumber, kind, messages, images: imageCount, until: user.blockedUntil });
+  return { kind, until: user.blockedUntil };
+}
+
+module.exports = { isTemporarilyBlocked, blockTemporarily, checkRateLimit };
@@ -0,0 +1,172 @@
+// Razorpay client and everything that turns a payment into a plan or credits (and back on refund).
+
+const Razorpay = require('razorpay');
+const { RAZORPAY_API_URL } = require('../config');
+const { log } = require('../logger');
+const { t } = require('../messages');
+const metrics = require('../metrics');
+const { Order, User, Payment } = require('../models');
+const { formatDate } = require('../utils');
+const { getCreditPack, getPlan, normalizePhone, adjustCredits } = require('./users');
+const { redeemPromoCode } = require('./referrals');
+
+const razorpay = new Razorpay({
+  key_id: process.env.RAZORPAY_KEY_ID,
+  key_secret: process.env.RAZORPAY_KEY_SECRET
+});
+// the SDK has no host option; its axios instance is the only way to point it elsewhere
+if (RAZORPAY_API_URL) razorpay.api.rq.defaults.baseURL = RAZORPAY_API_URL;
+
+const ONE_OFF_PREMIUM_DAYS = 30;
+
+// Puts the user on `plan` until `until`. Returns false if they already had it at least that long,
+// so replayed payments/webhooks don't re-notify or reset usage.
+async function activatePlan(user, plan, until) {
+  if (user.tier === plan.code && user.premiumUntil && user.premiumUntil >= until) return false;
+
+  if (user.tier !== plan.code) {
+    const now = new Date();
+    user.imagesProcessed = 0;
+    user.resetDate = new Date(now.getFullYear(), now.getMonth() + 1, 1);
+  }
+  user.tier = plan.code;
+  user.premiumUntil = until;
+  await user.save();
+  log.info('Plan activated', { phoneNumber: user.phoneNumber, plan: plan.code, until });
+  return true;
+}
+
+// Paid users from before premiumUntil existed have it unset and would never lapse. They get one
+// more period from now: subscribers' renewals push it forward as usual, one-off buyers lapse after.
+async function backfillPremiumUntil() {
+  const until = new Date(Date.now() + ONE_OFF_PREMIUM_DAYS * 24 * 60 * 60 * 1000);
+  const { modifiedCount } = await User.updateMany({ tier: { $ne: 'free' }, premiumUntil: null }, { $set: { premiumUntil: until } });
+  if (modifiedCount) log.info('Backfilled premiumUntil for paid users', { count: modifiedCount, until });
+}
+
+// The pack a pack order paid for, even if it has been taken off sale since. A pack order never
+// falls back to a plan.
+async function getOrderPack(order) {
+  const pack = await getCreditPack(order.packCode, { includeInactive: true });
+  if (!pack) throw new Error(`Credit pack ${order.packCode} not found for order ${order.razorpayOrderId}`);
+  return pack;
+}
+
+// Grants what an Order paid for - credits for a pack, otherwise its plan until `until`.
+// Returns the WhatsApp confirmation to send, or null if nothing changed.
+async function fulfilOrder(user, order, until) {
+  await redeemPromoCode(user, order);
+  if (order && order.packCode) {
+    const pack = await getOrderPack(order);
+    await user.save();
+    await adjustCredits(user, pack.credits);
+    log.info('Credits bought', { phoneNumber: user.phoneNumber, pack: pack.code, credits: pack.credits });
+    return t(user.language, 'payment_credits', { added: pack.credits, credits: user.credits });
+  }
+
+  const plan = await getPlan(order && order.planCode ? order.planCode : 'premium');
+  if (await activatePlan(user, plan, until)) {
+    return t(user.language, 'payment_plan', { plan: plan.name, date: formatDate(until), quota: plan.monthlyQuota });
+  }
+  await user.save();
+  return null;
+}
+
+// Takes back what a fully refunded order granted
+async function revokeOrder(user, order, paymentId) {
+  if (order && order.packCode) {
+    const pack = await getOrderPack(order);
+    await adjustCredits(user, -pack.credits);
+    log.info('Refund applied', { phoneNumber: user.phoneNumber, pack: pack.code, credits: pack.credits });
+    metrics.refunds.inc();
+    return t(user.language, 'refund_credits', { credits: pack.credits });
+  }
+
+  // Only the payment that paid for the current period ends the plan
+  if (user.lastPaymentId !== paymentId || user.tier === 'free') return null;
+  user.tier = 'free';
+  user.premiumUntil = new Date();
+  await user.save();
+  log.info('Refund applied', { phoneNumber: user.phoneNumber, plan: 'free' });
+  metrics.refunds.inc();
+  return t(user.language, 'refund_plan');
+}
+
+async function findOrderForPayment({ razorpayOrderId, razorpaySubscriptionId }) {
+  if (razorpaySubscriptionId) return Order.findOne({ razorpaySubscriptionId });
+  if (razorpayOrderId) return Order.findOne({ razorpayOrderId });
+  return null;
+}
+
+async function findUserForPayment({ notes, subscriptionId, paymentId }) {
+  if (subscriptionId) {
+    const user = await User.findOne({ subscriptionId });
+    if (user) return user;
+  }
+  if (notes && notes.phoneNumber) {
+    const user = await User.findOne({ phoneNumber: normalizePhone(notes.phoneNumber) });
+    if (user) return user;
+  }
+  if (paymentId) return User.findOne({ lastPaymentId: paymentId });
+  return null;
+}
+
+// Insert the payment if we haven't seen it; returns the ledger row either way
+async function recordPayment(fields) {
+  const existing = await Payment.findOneAndUpdate(
+    { razorpayPaymentId: fields.razorpayPaymentId },
+    { $setOnInsert: fields },
+    { upsert: true, new: false }
+  );
+  const payment = existing || await Payment.findOne({ razorpayPaymentId: fields.razorpayPaymentId });
+  return { payment, created: !existing };
+}
+
+// Atomically claims the right to grant premium for a payment (checkout and webhook may race)
+async function claimPayment(payment) {
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: payment._id, applied: false },
+    { $set: { applied: true, updatedAt: new Date() } },
+    { new: true }
+  );
+  if (claimed) metrics.payments.inc({ source: claimed.source });
+  return !!claimed;
+}
+
+// Subscription payments also carry an order_id, but the ledger Order is keyed on the subscription
+async function updateOrderStatus({ razorpayOrderId, razorpaySubscriptionId }, status) {
+  if (!razorpayOrderId && !razorpaySubscriptionId) return;
+  const filter = razorpaySubscriptionId ? { razorpaySubscriptionId } : { razorpayOrderId };
+  const update = status === 'paid' ? { status, paidAt: new Date() } : { status };
+  await Order.updateOne(filter, { $set: update });
+}
+
+// Ledger fields from a Razorpay payment entity
+function paymentFields(entity, source) {
+  return {
+    razorpayPaymentId: entity.id,
+    razorpayOrderId: entity.order_id || null,
+    amount: entity.amount,
+    currency: entity.currency,
+    method: entity.method || null,
+    status: entity.status,
+    amountRefunded: entity.amount_refunded || 0,
+    capturedAt: entity.status === 'captured' ? new Date(entity.created_at * 1000) : null,
+    source
+  };
+}
+
+module.exports = {
+  razorpay,
+  ONE_OFF_PREMIUM_DAYS,
+  activatePlan,
+  backfillPremiumUntil,
+  fulfilOrder,
+  revokeOrder,
+  findOrderForPayment,
+  findUserForPayment,
+  recordPayment,
+  claimPayment,
+  updateOrderStatus,
+  paymentFields
+};
@@ -0,0 +1,215 @@
+// Background removal providers (remove.bg, local ONNX model) and failover between them.
+
+const axios = require('axios');
+const FormData = require('form-data');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const sharp = require('sharp');
+const { REMOVEBG_API_KEY, REMOVEBG_API_URL, BG_PROVIDERS, LOCAL_MODEL_PATH, LOCAL_MODEL_SIZE } = require('../config');
+const { log } = require('../logger');
+const metrics = require('../metrics');
+const { ImageError, MAX_INPUT_BYTES } = require('./images');
+const { recordSpend } = require('./budget');
+
+// Each provider takes the original image bytes and returns { image, credits }: a transparent PNG
+// buffer and how many paid API credits it used. Paid providers count against the remove.bg budget.
+// BG_PROVIDERS sets the order they are tried in; the next one is used if one fails.
+const removeBgProvider = {
+  name: 'removebg',
+  paid: true,
+  isConfigured: () => !!REMOVEBG_API_KEY,
+  async removeBackground(originalBuffer) {
+    try {
+      // Build form data for remove.bg - DO NOT set fake content-type or filename that contradicts actual bytes.
+      const formData = new FormData();
+      formData.append('image_file', originalBuffer); // let remove.bg detect type
+      formData.append('size', 'auto');
+      formData.append('format', 'png'); // request PNG output (transparent)
+
+      log.debug('Sending to remove.bg');
+      const resp = await axios.post(`${REMOVEBG_API_URL}/v1.0/removebg`, formData, {
+        headers: {
+          ...formData.getHeaders(),
+          'X-Api-Key': REMOVEBG_API_KEY
+        },
+        responseType: 'arraybuffer',
+        timeout: 60000
+      });
+
+      const outBuffer = Buffer.from(resp.data);
+      log.debug('remove.bg returned', { bytes: outBuffer.length, contentType: resp.headers['content-type'] });
+      const credits = parseFloat(resp.headers['x-credits-charged']) || 1;
+
+      // quick magic-bytes check for PNG:
+      const signature = outBuffer.slice(0, 8).toString('hex');
+      const pngSignature = '89504e470d0a1a0a';
+      if (!(resp.headers['content-type'] && resp.headers['content-type'].includes('png') && signature === pngSignature)) {
+        // save temp for inspection and throw explicit error
+        const tmpFile = path.join(os.tmpdir(), `removebg_out_${Date.now()}`);
+        // pick extension based on content-type if present
+        const ext = resp.headers['content-type'] && resp.headers['content-type'].includes('png') ? '.png' : (resp.headers['content-type'] && resp.headers['content-type'].includes('jpeg') ? '.jpg' : '.bin');
+        const tmpPath = tmpFile + ext;
+        try { fs.writeFileSync(tmpPath, outBuffer); log.warn('Saved unexpected remove.bg output', { path: tmpPath }); } catch (e) { log.warn('Could not save remove.bg output', { err: e }); }
+        throw new Error(`remove.bg did not return a PNG. content-type=${resp.headers['content-type'] || 'unknown'}, signature=${signature}. Saved tmp: ${tmpPath}`);
+      }
+
+      return { image: outBuffer, credits };
+    } catch (error) {
+      // Try to give more detail if possible
+      if (error.response) {
+        let txt;
+        try {
+          txt = error.response.data?.toString?.();
+          if (txt) log.warn('remove.bg error response', { status: error.response.status, body: txt.substring(0, 800) });
+        } catch (_) {}
+        // 400 unknown_foreground: remove.bg couldn't find anything to cut out
+        if (error.response.status === 400 && txt && txt.includes('unknown_foreground')) {
+          throw new ImageError('no_subject', 'remove.bg found no foreground subject');
+        }
+      }
+      throw error;
+    }
+  }
+};
+
+// Local CPU-only matting with an ONNX model (U²-Net / IS-Net style: RGB in, single-channel mask out).
+// onnxruntime-node is an optional dependency, only loaded when this provider is actually used.
+let localSession = null;
+
+function hasOnnxRuntime() {
+  try {
+    require.resolve('onnxruntime-node');
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+async function getLocalSession() {
+  if (!localSession) {
+    const ort = require('onnxruntime-node');
+    log.info('Loading local matting model', { path: LOCAL_MODEL_PATH });
+    localSession = await ort.InferenceSession.create(LOCAL_MODEL_PATH, { executionProviders: ['cpu'] });
+  }
+  return localSession;
+}
+
+const localProvider = {
+  name: 'local',
+  paid: false,
+  isConfigured: () => !!LOCAL_MODEL_PATH && fs.existsSync(LOCAL_MODEL_PATH) && hasOnnxRuntime(),
+  async removeBackground(originalBuffer) {
+    const ort = require('onnxruntime-node');
+    const session = await getLocalSession();
+    const size = LOCAL_MODEL_SIZE;
+
+    // Full-size RGB of the original (EXIF-rotated) - the mask gets joined back onto this.
+    const base = await sharp(originalBuffer).rotate().removeAlpha().raw().toBuffer({ resolveWithObject: true });
+    const { width, height } = base.info;
+
+    const small = await sharp(base.data, { raw: { width, height, channels: 3 } })
+      .resize(size, size, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+
+    // HWC uint8 -> CHW float32, ImageNet normalisation
+    const mean = [0.485, 0.456, 0.406];
+    const std = [0.229, 0.224, 0.225];
+    const pixels = size * size;
+    const input = new Float32Array(3 * pixels);
+    for (let i = 0; i < pixels; i++) {
+      for (let c = 0; c < 3; c++) {
+        input[c * pixels + i] = (small[i * 3 + c] / 255 - mean[c]) / std[c];
+      }
+    }
+
+    log.debug('Running local matting', { size });
+    const feeds = { [session.inputNames[0]]: new ort.Tensor('float32', input, [1, 3, size, size]) };
+    const results = await session.run(feeds);
+    const pred = results[session.outputNames[0]].data;
+
+    // min-max normalise the prediction into an 8-bit mask
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < pixels; i++) {
+      if (pred[i] < min) min = pred[i];
+      if (pred[i] > max) max = pred[i];
+    }
+    const range = max - min || 1;
+    const mask = Buffer.alloc(pixels);
+    for (let i = 0; i < pixels; i++) {
+      mask[i] = Math.round(((pred[i] - min) / range) * 255);
+    }
+
+    const alpha = await sharp(mask, { raw: { width: size, height: size, channels: 1 } })
+      .resize(width, height, { fit: 'fill' })
+      .extractChannel(0)
+      .raw()
+      .toBuffer();
+
+    const outBuffer = await sharp(base.data, { raw: { width, height, channels: 3 } })
+      .joinChannel(alpha, { raw: { width, height, channels: 1 } })
+      .png()
+      .toBuffer();
+
+    log.debug('Local matting returned', { bytes: outBuffer.length });
+    return { image: outBuffer, credits: 0 };
+  }
+};
+
+const bgProviders = {
+  [removeBgProvider.name]: removeBgProvider,
+  [localProvider.name]: localProvider
+};
+
+// Providers from BG_PROVIDERS that have what they need to run, in failover order.
+// includePaid: false leaves out the ones that cost credits.
+function getActiveProviders({ includePaid = true } = {}) {
+  return BG_PROVIDERS
+    .map(name => bgProviders[name])
+    .filter(provider => provider && provider.isConfigured() && (includePaid || !provider.paid));
+}
+
+// Takes the (validated) original image bytes; includePaid: false when the user is over the remove.bg budget.
+// Returns { image, provider, credits }: the transparent PNG, which provider made it and what it cost.
+async function removeBackground(originalBuffer, { includePaid = true } = {}) {
+  try {
+    const providers = getActiveProviders({ includePaid });
+    if (providers.length === 0) {
+      if (!includePaid && getActiveProviders().length) {
+        throw new ImageError('budget_paused', 'remove.bg budget used up and no free provider configured');
+      }
+      throw new Error(`No background removal provider configured (BG_PROVIDERS=${BG_PROVIDERS.join(',')})`);
+    }
+
+    if (originalBuffer.length > MAX_INPUT_BYTES) {
+      throw new ImageError('too_large', 'Image too large (max 25MB)');
+    }
+
+    let lastError;
+    for (const provider of providers) {
+      const endTimer = metrics.providerDuration.startTimer({ provider: provider.name });
+      try {
+        log.info('Removing background', { provider: provider.name });
+        const { image: output, credits } = await provider.removeBackground(originalBuffer);
+        endTimer({ outcome: 'ok' });
+        if (provider.paid) {
+          await recordSpend(provider.name, credits).catch(error => log.error('Could not record provider spend', { provider: provider.name, err: error }));
+        }
+        return { image: output, provider: provider.name, credits };
+      } catch (error) {
+        endTimer({ outcome: 'error' });
+        metrics.providerErrors.inc({ provider: provider.name, status: error.response ? String(error.response.status) : 'error' });
+        log.warn('Provider failed', { provider: provider.name, err: error });
+        lastError = error;
+      }
+    }
+    throw lastError;
+  } catch (error) {
+    log.error('removeBackground error', { err: error });
+    throw error;
+  }
+}
+
+module.exports = { getActiveProviders, removeBackground };
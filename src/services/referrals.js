@@ -0,0 +1,110 @@
+// Referral codes and admin promo codes.
+
+const crypto = require('crypto');
+const { REFERRAL_BONUS, REFERRAL_WINDOW_DAYS } = require('../config');
+const { log } = require('../logger');
+const { User, PromoCode, Order } = require('../models');
+const { isTelegramAccount } = require('../utils');
+
+const REFERRAL_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+// Razorpay won't create orders below ₹1
+const MIN_ORDER_AMOUNT = 100;
+
+function generateReferralCode() {
+  let code = '';
+  for (let i = 0; i < 6; i++) code += REFERRAL_CODE_ALPHABET[crypto.randomInt(REFERRAL_CODE_ALPHABET.length)];
+  return code;
+}
+
+async function ensureReferralCode(user) {
+  for (let attempt = 0; attempt < 5 && !user.referralCode; attempt++) {
+    const code = generateReferralCode();
+    const updated = await User.findOneAndUpdate({ _id: user._id, referralCode: null }, { $set: { referralCode: code } }, { new: true })
+      .catch(error => {
+        if (error.code === 11000) return null; // code taken, try another
+        throw error;
+      });
+    if (updated) user.referralCode = updated.referralCode;
+  }
+  return user.referralCode;
+}
+
+// A new user redeeming someone's code: both get REFERRAL_BONUS credits. Telegram accounts cost
+// nothing to create, so for them both bonuses are held ('pending') until releaseReferralBonus.
+// Returns { status: 'applied' | 'pending' | 'invalid' | 'own' | 'already' | 'too_late', referrer }
+async function applyReferral(user, code) {
+  const referrer = await User.findOne({ referralCode: code.toUpperCase() });
+  if (!referrer) return { status: 'invalid' };
+  if (referrer.phoneNumber === user.phoneNumber) return { status: 'own' };
+  if (user.referredBy) return { status: 'already' };
+  if (Date.now() - user.createdAt.getTime() > REFERRAL_WINDOW_DAYS * 24 * 60 * 60 * 1000) return { status: 'too_late' };
+
+  // referredBy is the claim - a second REF for the same user matches nothing
+  const held = isTelegramAccount(user.phoneNumber);
+  const claimed = await User.findOneAndUpdate(
+    { _id: user._id, referredBy: null },
+    held
+      ? { $set: { referredBy: referrer.phoneNumber, referralBonusPending: true } }
+      : { $set: { referredBy: referrer.phoneNumber }, $inc: { credits: REFERRAL_BONUS } },
+    { new: true }
+  );
+  if (!claimed) return { status: 'already' };
+  user.referredBy = claimed.referredBy;
+  user.referralBonusPending = claimed.referralBonusPending;
+  user.credits = claimed.credits;
+  if (held) {
+    log.info('Referral held until first image', { phoneNumber: user.phoneNumber, referrer: referrer.phoneNumber });
+    return { status: 'pending', referrer };
+  }
+
+  await User.updateOne({ _id: referrer._id }, { $inc: { credits: REFERRAL_BONUS, referralCount: 1 } });
+  log.info('Referral applied', { phoneNumber: user.phoneNumber, referrer: referrer.phoneNumber });
+  return { status: 'applied', referrer };
+}
+
+// Pays out a held referral once the referred account has had an image processed.
+// Returns the referrer if this call released it, otherwise null.
+async function releaseReferralBonus(user) {
+  if (!user.referralBonusPending) return null;
+  const released = await User.findOneAndUpdate(
+    { _id: user._id, referralBonusPending: true },
+    { $set: { referralBonusPending: false }, $inc: { credits: REFERRAL_BONUS } },
+    { new: true }
+  );
+  if (!released) return null;
+  user.referralBonusPending = false;
+  user.credits = released.credits;
+
+  const referrer = await User.findOneAndUpdate(
+    { phoneNumber: released.referredBy },
+    { $inc: { credits: REFERRAL_BONUS, referralCount: 1 } },
+    { new: true }
+  );
+  log.info('Referral bonus released', { phoneNumber: user.phoneNumber, referrer: released.referredBy });
+  return referrer;
+}
+
+// Whether phoneNumber can use a promo code right now.
+// Returns { promo } or { error: 'invalid' | 'expired' | 'used_up' | 'already_used' }
+async function checkPromoCode(code, phoneNumber) {
+  const promo = await PromoCode.findOne({ code: (code || '').toUpperCase(), active: true });
+  if (!promo) return { error: 'invalid' };
+  if (promo.expiresAt && promo.expiresAt <= new Date()) return { error: 'expired' };
+  if (promo.maxUses !== null && promo.uses >= promo.maxUses) return { error: 'used_up' };
+  if (await Order.exists({ phoneNumber, promoCode: promo.code, status: 'paid' })) return { error: 'already_used' };
+  return { promo };
+}
+
+function applyDiscount(amount, percent) {
+  return Math.max(MIN_ORDER_AMOUNT, Math.round(amount * (100 - percent) / 100));
+}
+
+// Counted once the order is paid, so abandoned checkouts don't use up a capped code
+async function redeemPromoCode(user, order) {
+  if (!order || !order.promoCode) return;
+  await PromoCode.updateOne({ code: order.promoCode }, { $inc: { uses: 1 } });
+  if (user.promoCode === order.promoCode) user.promoCode = null;
+  log.info('Promo code redeemed', { phoneNumber: user.phoneNumber, promoCode: order.promoCode });
+}
+
+module.exports = { ensureReferralCode, applyReferral, releaseReferralBonus, checkPromoCode, applyDiscount, redeemPromoCode };
@@ -0,0 +1,116 @@
+// Periodic clean-up of stored outputs and customer backdrops.
+
+const { RETENTION_DAYS } = require('../config');
+const { log } = require('../logger');
+const { Result, User } = require('../models');
+const { getStorage } = require('./storage');
+
+const RETENTION_INTERVAL = 6 * 60 * 60 * 1000;
+const RETENTION_BATCH = 100;
+const RETENTION_MAX_ATTEMPTS = 5;
+
+let retentionRunning = false;
+
+// a missing object counts as deleted
+function isMissingFile(error) {
+  return /not found|ENOENT|NoSuchKey/i.test(error.message);
+}
+
+// Deletes stored outputs older than the cutoff; the Result stays (marked deleted) for history
+async function expireResults(cutoff) {
+  let deleted = 0;
+  let failed = 0;
+  // paged on _id so rows that fail to delete are passed over rather than fetched again
+  let lastId = null;
+  while (true) {
+    const query = { createdAt: { $lt: cutoff }, deletedAt: null, deleteAttempts: { $not: { $gte: RETENTION_MAX_ATTEMPTS } } };
+    if (lastId) query._id = { $gt: lastId };
+    const results = await Result.find(query).sort({ _id: 1 }).limit(RETENTION_BATCH);
+    if (results.length === 0) break;
+    lastId = results[results.length - 1]._id;
+    for (const result of results) {
+      try {
+        await getStorage(result.storage).remove({ key: result.storageKey, url: result.storageUrl });
+      } catch (error) {
+        // anything but a missing file is retried next run, up to RETENTION_MAX_ATTEMPTS
+        if (!isMissingFile(error)) {
+          log.error('Retention: could not delete file', { key: result.storageKey, attempts: result.deleteAttempts + 1, err: error });
+          result.deleteAttempts += 1;
+          result.deleteError = error.message;
+          await result.save();
+          failed++;
+          continue;
+        }
+      }
+      result.deletedAt = new Date();
+      await result.save();
+      deleted++;
+    }
+    if (results.length < RETENTION_BATCH) break;
+  }
+  return { deleted, failed };
+}
+
+// Deletes backdrops sent before the cutoff; their users go back to a transparent background
+async function expireBackdrops(cutoff) {
+  // backdrops from before uploadedAt was recorded get a full period from now
+  await User.updateMany({ 'background.imageKey': { $ne: null }, 'background.uploadedAt': null }, { $set: { 'background.uploadedAt': new Date() } });
+
+  let deleted = 0;
+  let failed = 0;
+  let lastId = null;
+  while (true) {
+    const query = { 'background.imageKey': { $ne: null }, 'background.uploadedAt': { $lt: cutoff } };
+    if (lastId) query._id = { $gt: lastId };
+    const users = await User.find(query).sort({ _id: 1 }).limit(RETENTION_BATCH);
+    if (users.length === 0) break;
+    lastId = users[users.length - 1]._id;
+    for (const user of users) {
+      const { imageKey, imageStorage } = user.background;
+      try {
+        await getStorage(imageStorage).remove({ key: imageKey });
+      } catch (error) {
+        // the user keeps the backdrop until it can be deleted
+        if (!isMissingFile(error)) {
+          log.error('Retention: could not delete backdrop', { key: imageKey, err: error });
+          failed++;
+          continue;
+        }
+      }
+      // only if they haven't sent a new one meanwhile
+      await User.updateOne(
+        { _id: user._id, 'background.imageKey': imageKey },
+        { $set: { background: { mode: 'transparent', color: null, imageUrl: null, imageKey: null, imageStorage: null, uploadedAt: null } } }
+      );
+      deleted++;
+    }
+    if (users.length < RETENTION_BATCH) break;
+  }
+  return { deleted, failed };
+}
+
+async function runRetention() {
+  // a slow run must not be joined by the next interval's
+  if (retentionRunning) return;
+  retentionRunning = true;
+  const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  try {
+    const results = await expireResults(cutoff);
+    if (results.deleted || results.failed) log.info('Retention: deleted old files', { count: results.deleted, failed: results.failed, days: RETENTION_DAYS });
+    const backdrops = await expireBackdrops(cutoff);
+    if (backdrops.deleted || backdrops.failed) log.info('Retention: deleted old backdrops', { count: backdrops.deleted, failed: backdrops.failed, days: RETENTION_DAYS });
+  } catch (error) {
+    log.error('Retention error', { err: error });
+  } finally {
+    retentionRunning = false;
+  }
+}
+
+function startRetention() {
+  if (!RETENTION_DAYS) return;
+  runRetention();
+  setInterval(runRetention, RETENTION_INTERVAL);
+  log.info('Retention job started', { days: RETENTION_DAYS });
+}
+
+module.exports = { runRetention, startRetention };
@@ -0,0 +1,261 @@
+// Where outputs live (Cloudinary, local disk, S3) and the signed /file links that serve them.
+
+const axios = require('axios');
+const cloudinary = require('cloudinary').v2;
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const streamifier = require('streamifier');
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const {
+  FILE_SIGNING_SECRET, FILE_LINK_TTL_DAYS, STORAGE_BACKEND, STORAGE_FOLDER, LOCAL_STORAGE_DIR
+} = require('../config');
+const { log } = require('../logger');
+const { Result } = require('../models');
+const { safeEqual, getBaseUrl } = require('../utils');
+
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET
+});
+
+const MIME_TYPES = {
+  png: 'image/png',
+  webp: 'image/webp',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg'
+};
+
+// Content type and download filename for a stored format (png if unknown)
+function fileInfoFromFormat(format) {
+  const ext = format && MIME_TYPES[format.toLowerCase()] ? format.toLowerCase() : 'png';
+  return { contentType: MIME_TYPES[ext], filename: `output.${ext}` };
+}
+
+// --- Storage backends ---
+// Each backend stores a buffer under a key, streams it back and deletes it.
+// STORAGE_BACKEND picks where new files go; every Result remembers the backend that holds it.
+const cloudinaryStorage = {
+  name: 'cloudinary',
+  isConfigured: () => !!process.env.CLOUDINARY_CLOUD_NAME,
+  async put(imageBuffer, { name, format }) {
+    return new Promise((resolve, reject) => {
+      const uploadStream = cloudinary.uploader.upload_stream(
+        {
+          folder: STORAGE_FOLDER,
+          public_id: name,
+          resource_type: 'image',
+          format,
+          transformation: [
+            {
+              fetch_format: format,
+              // keep quality conservative but avoid automatic flattening
+              // removing quality: 'auto' to avoid unexpected flattening
+              flags: 'preserve_transparency'
+            }
+          ]
+        },
+        (error, result) => {
+          if (error) {
+            log.error('Cloudinary upload failed', { err: error });
+            return reject(error);
+          }
+          log.debug('Cloudinary upload done', { publicId: result.public_id, bytes: result.bytes, format: result.format });
+          // confirm Cloudinary kept the requested format
+          if (result.format !== format) {
+            log.warn('Cloudinary returned a different format', { expected: format, format: result.format });
+          }
+          resolve({ key: result.public_id, url: result.secure_url, format: result.format });
+        }
+      );
+
+      streamifier.createReadStream(imageBuffer).pipe(uploadStream);
+    });
+  },
+  async get({ url }) {
+    const response = await axios.get(url, { responseType: 'stream', timeout: 8000, maxRedirects: 0 });
+    return { stream: response.data, contentLength: response.headers['content-length'] };
+  },
+  async remove({ key }) {
+    await cloudinary.uploader.destroy(key, { resource_type: 'image' });
+  }
+};
+
+// Keys are relative paths under LOCAL_STORAGE_DIR - never let one escape it
+function localStoragePath(key) {
+  const root = path.resolve(LOCAL_STORAGE_DIR);
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) throw new Error('Invalid storage key');
+  return filePath;
+}
+
+const localStorage = {
+  name: 'local',
+  isConfigured: () => true,
+  async put(imageBuffer, { name, format }) {
+    const key = `${STORAGE_FOLDER}/${name}.${format}`;
+    const filePath = localStoragePath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, imageBuffer);
+    log.info('Saved to local storage', { key });
+    return { key, url: null, format };
+  },
+  async get({ key }) {
+    const filePath = localStoragePath(key);
+    const { size } = await fs.promises.stat(filePath);
+    return { stream: fs.createReadStream(filePath), contentLength: size };
+  },
+  async remove({ key }) {
+    await fs.promises.rm(localStoragePath(key), { force: true });
+  }
+};
+
+let s3Client = null;
+
+function getS3Client() {
+  if (!s3Client) {
+    s3Client = new S3Client({
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      // MinIO and most self-hosted S3 clones need path-style URLs
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false',
+      credentials: {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      }
+    });
+  }
+  return s3Client;
+}
+
+const s3Storage = {
+  name: 's3',
+  isConfigured: () => !!(process.env.S3_BUCKET && process.env.S3_ACCESS_KEY_ID && process.env.S3_SECRET_ACCESS_KEY),
+  async put(imageBuffer, { name, format }) {
+    const key = `${STORAGE_FOLDER}/${name}.${format}`;
+    await getS3Client().send(new PutObjectCommand({
+      Bucket: process.env.S3_BUCKET,
+      Key: key,
+      Body: imageBuffer,
+      ContentType: MIME_TYPES[format] || 'application/octet-stream'
+    }));
+    log.info('Uploaded to S3', { key });
+    return { key, url: null, format };
+  },
+  async get({ key }) {
+    const out = await getS3Client().send(new GetObjectCommand({ Bucket: process.env.S3_BUCKET, Key: key }));
+    return { stream: out.Body, contentLength: out.ContentLength };
+  },
+  async remove({ key }) {
+    await getS3Client().send(new DeleteObjectCommand({ Bucket: process.env.S3_BUCKET, Key: key }));
+  }
+};
+
+const storageBackends = {
+  [cloudinaryStorage.name]: cloudinaryStorage,
+  [localStorage.name]: localStorage,
+  [s3Storage.name]: s3Storage
+};
+
+function getStorage(name = STORAGE_BACKEND) {
+  const storage = storageBackends[name];
+  if (!storage) throw new Error(`Unknown storage backend: ${name}`);
+  if (!storage.isConfigured()) throw new Error(`Storage backend ${name} is not configured`);
+  return storage;
+}
+
+// Store a file on the configured backend. Returns { storage, key, url, format } - url is only set
+// when the backend has a public one (Cloudinary); everything is served through /file either way.
+async function storeFile(imageBuffer, { phoneNumber, format = 'png', prefix = 'bg' }) {
+  try {
+    const storage = getStorage();
+    const safePhone = (phoneNumber || '').replace(/\D/g, '') || 'unknown';
+    const stored = await storage.put(imageBuffer, { name: `${prefix}_${safePhone}_${Date.now()}`, format });
+    return { storage: storage.name, ...stored };
+  } catch (error) {
+    log.error('storeFile error', { err: error });
+    throw error;
+  }
+}
+
+// Buffer of a stored object - used for backdrops, which are re-read for every composite
+async function readStoredFile({ storage, key, url }) {
+  const { stream } = await getStorage(storage).get({ key, url });
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+// Deletes a backdrop the user no longer has set (replaced or switched off). Best effort - a file
+// left behind is only storage, and the user has already moved on.
+async function discardBackdrop(background) {
+  if (!background || !background.imageKey) return;
+  try {
+    await getStorage(background.imageStorage).remove({ key: background.imageKey });
+  } catch (error) {
+    log.error('Could not delete old backdrop', { key: background.imageKey, err: error });
+  }
+}
+
+function signFileToken(payload) {
+  return crypto.createHmac('sha256', FILE_SIGNING_SECRET).update(payload).digest('base64url');
+}
+
+async function createResult({ phoneNumber, stored, bytes, sourceHash = null, optionsKey = null }) {
+  const { contentType, filename } = fileInfoFromFormat(stored.format);
+  return Result.create({
+    phoneNumber,
+    storage: stored.storage,
+    storageKey: stored.key,
+    storageUrl: stored.url,
+    contentType,
+    filename,
+    bytes,
+    sourceHash,
+    optionsKey,
+    expiresAt: new Date(Date.now() + FILE_LINK_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+}
+
+// "<result id>.<hmac>" - opaque, and only links we generated resolve to a record
+function createFileToken(result) {
+  const id = result._id.toString();
+  return `${id}.${signFileToken(id)}`;
+}
+
+// Looks up the Result behind a token: { status: 200, result } / 404 (bad or unknown) / 410 (expired)
+async function resolveFileToken(token) {
+  const [id, sig] = (token || '').split('.');
+  if (!id || !sig || !mongoose.isValidObjectId(id) || !safeEqual(sig, signFileToken(id))) return { status: 404 };
+  const result = await Result.findById(id);
+  if (!result) return { status: 404 };
+  if (result.deletedAt || result.expiresAt <= new Date()) return { status: 410, result };
+  return { status: 200, result };
+}
+
+function getFileUrl(result) {
+  return `${getBaseUrl()}/file/${createFileToken(result)}`;
+}
+
+function setFileHeaders(res, result) {
+  res.set({
+    'Content-Type': result.contentType,
+    'Content-Disposition': `attachment; filename="${result.filename}"`
+  });
+  if (result.bytes) res.set('Content-Length', result.bytes);
+}
+
+module.exports = {
+  MIME_TYPES,
+  storageBackends,
+  getStorage,
+  storeFile,
+  readStoredFile,
+  discardBackdrop,
+  createResult,
+  resolveFileToken,
+  getFileUrl,
+  setFileHeaders
+};
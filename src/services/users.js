@@ -0,0 +1,193 @@
+// Users, the plan/credit pack catalogue and quota accounting.
+
+const { RAZORPAY_PLAN_ID } = require('../config');
+const { log } = require('../logger');
+const { User, Plan, CreditPack } = require('../models');
+const { isTelegramAccount } = require('../utils');
+const { ensureReferralCode } = require('./referrals');
+
+async function getUserData(phoneNumber) {
+  try {
+    if (!User) return null;
+    let user = await User.findOne({ phoneNumber });
+    if (!user) {
+      const now = new Date();
+      user = new User({
+        phoneNumber,
+        tier: 'free',
+        imagesProcessed: 0,
+        resetDate: new Date(now.getFullYear(), now.getMonth() + 1, 1)
+      });
+      await user.save();
+      log.info('New user', { phoneNumber });
+      await ensureReferralCode(user);
+    } else {
+      const now = new Date();
+      let changed = false;
+      if (now >= user.resetDate) {
+        user.imagesProcessed = 0;
+        user.resetDate = new Date(now.getFullYear(), now.getMonth() + 1, 1);
+        changed = true;
+      }
+      // Paid plans lapse once the paid period is over (renewals push premiumUntil forward)
+      if (user.tier !== 'free' && user.premiumUntil && now >= user.premiumUntil) {
+        log.info('Paid plan expired', { phoneNumber: user.phoneNumber, tier: user.tier });
+        user.tier = 'free';
+        changed = true;
+      }
+      if (changed) await user.save();
+      // users from before referrals get their code on their next message
+      if (!user.referralCode) await ensureReferralCode(user);
+    }
+    return user;
+  } catch (error) {
+    log.error('getUserData error', { err: error });
+    return null;
+  }
+}
+
+// --- Plans and credit packs ---
+// Seeded into Mongo on first start; edit the collections to change prices/quotas.
+const DEFAULT_PLANS = [
+  { code: 'free', name: 'Free', monthlyQuota: 3, price: 0, currency: 'INR', features: { hd: false, priority: false }, sortOrder: 0 },
+  { code: 'premium', name: 'Premium', monthlyQuota: 100, price: 99900, currency: 'INR', razorpayPlanId: RAZORPAY_PLAN_ID || null, features: { hd: true, priority: true }, sortOrder: 1 }
+];
+
+const DEFAULT_CREDIT_PACKS = [
+  { code: 'pack10', name: '10 images', credits: 10, price: 19900, currency: 'INR', sortOrder: 0 },
+  { code: 'pack50', name: '50 images', credits: 50, price: 79900, currency: 'INR', sortOrder: 1 }
+];
+
+const CATALOGUE_CACHE_TTL = 60 * 1000;
+let catalogueCache = null;
+let catalogueLoadedAt = 0;
+
+async function seedCatalogue() {
+  try {
+    for (const plan of DEFAULT_PLANS) {
+      await Plan.updateOne({ code: plan.code }, { $setOnInsert: plan }, { upsert: true });
+    }
+    for (const pack of DEFAULT_CREDIT_PACKS) {
+      await CreditPack.updateOne({ code: pack.code }, { $setOnInsert: pack }, { upsert: true });
+    }
+  } catch (error) {
+    log.error('Catalogue seed error', { err: error });
+  }
+}
+
+// Active plans and packs, cached briefly; falls back to the defaults if Mongo isn't reachable
+async function getCatalogue() {
+  if (catalogueCache && Date.now() - catalogueLoadedAt < CATALOGUE_CACHE_TTL) return catalogueCache;
+  try {
+    const [plans, packs] = await Promise.all([
+      Plan.find({ active: true }).sort({ sortOrder: 1 }).lean(),
+      CreditPack.find({ active: true }).sort({ sortOrder: 1 }).lean()
+    ]);
+    catalogueCache = {
+      plans: plans.length ? plans : DEFAULT_PLANS,
+      packs
+    };
+    catalogueLoadedAt = Date.now();
+  } catch (error) {
+    log.error('Catalogue load error', { err: error });
+    return catalogueCache || { plans: DEFAULT_PLANS, packs: DEFAULT_CREDIT_PACKS };
+  }
+  return catalogueCache;
+}
+
+// Unknown or retired plan codes count as the free plan
+async function getPlan(code) {
+  const { plans } = await getCatalogue();
+  return plans.find(p => p.code === code)
+    || plans.find(p => p.code === 'free')
+    || DEFAULT_PLANS[0];
+}
+
+// Only packs on sale, unless includeInactive - orders already paid for a retired pack still get it
+async function getCreditPack(code, { includeInactive = false } = {}) {
+  if (includeInactive) {
+    return await CreditPack.findOne({ code }).lean() || DEFAULT_CREDIT_PACKS.find(p => p.code === code) || null;
+  }
+  const { packs } = await getCatalogue();
+  return packs.find(p => p.code === code) || null;
+}
+
+async function getPaidPlans() {
+  const { plans } = await getCatalogue();
+  return plans.filter(p => p.price > 0);
+}
+
+function formatPrice(amount, currency) {
+  const value = (amount / 100).toFixed(amount % 100 ? 2 : 0);
+  return currency === 'INR' ? `₹${value}` : `${currency} ${value}`;
+}
+
+// Monthly plan quota is used first, then prepaid credits
+async function getQuota(user) {
+  const plan = await getPlan(user.tier);
+  const monthlyLeft = Math.max(0, plan.monthlyQuota - user.imagesProcessed);
+  const credits = user.credits || 0;
+  return { plan, limit: plan.monthlyQuota, monthlyLeft, credits, remaining: monthlyLeft + credits };
+}
+
+// Charge one image: atomically from the monthly quota if there's room, otherwise from credits.
+// Returns which balance paid ('quota' / 'credits'), or null if neither had room.
+async function chargeImage(user) {
+  const plan = await getPlan(user.tier);
+  let chargedFrom = 'quota';
+  let updated = await User.findOneAndUpdate(
+    { _id: user._id, imagesProcessed: { $lt: plan.monthlyQuota } },
+    { $inc: { imagesProcessed: 1 } },
+    { new: true }
+  );
+  if (!updated) {
+    chargedFrom = 'credits';
+    updated = await User.findOneAndUpdate(
+      { _id: user._id, credits: { $gt: 0 } },
+      { $inc: { credits: -1 } },
+      { new: true }
+    );
+  }
+  if (!updated) return null;
+  user.imagesProcessed = updated.imagesProcessed;
+  user.credits = updated.credits;
+  return chargedFrom;
+}
+
+// Add credits, or take them back (never below zero), in one update so a chargeImage running at
+// the same time isn't overwritten. Returns the new balance.
+async function adjustCredits(user, delta) {
+  let updated = delta >= 0
+    ? await User.findOneAndUpdate({ _id: user._id }, { $inc: { credits: delta } }, { new: true })
+    : await User.findOneAndUpdate({ _id: user._id, credits: { $gte: -delta } }, { $inc: { credits: delta } }, { new: true });
+  // fewer left than are being taken back: take what there is
+  if (!updated && delta < 0) {
+    updated = await User.findOneAndUpdate({ _id: user._id, credits: { $not: { $gte: -delta } } }, { $set: { credits: 0 } }, { new: true });
+  }
+  if (!updated) throw new Error(`User ${user.phoneNumber} not found`);
+  user.credits = updated.credits;
+  return updated.credits;
+}
+
+// Razorpay notes carry the phone without the "+" when it comes from the /pay URL.
+// Telegram accounts (tg<chat id>) are not phone numbers and pass through as they are.
+function normalizePhone(phoneNumber) {
+  if (!phoneNumber) return phoneNumber;
+  if (isTelegramAccount(phoneNumber)) return phoneNumber;
+  return phoneNumber.startsWith('+') ? phoneNumber : '+' + phoneNumber;
+}
+
+module.exports = {
+  getUserData,
+  seedCatalogue,
+  getCatalogue,
+  getPlan,
+  getCreditPack,
+  getPaidPlans,
+  formatPrice,
+  getQuota,
+  chargeImage,
+  adjustCredits,
+  normalizePhone,
+  isTelegramAccount
+};
@@ -0,0 +1,26 @@
+// Small helpers shared by services and routes.
+
+const crypto = require('crypto');
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a || ''));
+  const bufB = Buffer.from(String(b || ''));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function getBaseUrl() {
+  return process.env.RAILWAY_DOMAIN
+    ? `https://${process.env.RAILWAY_DOMAIN}`
+    : 'https://whatsapp-bg-remover-production.up.railway.app';
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Telegram accounts are keyed tg<chat id> instead of a phone number
+function isTelegramAccount(phoneNumber) {
+  return /^tg-?\d+$/.test(phoneNumber || '');
+}
+
+module.exports = { safeEqual, getBaseUrl, formatDate, isTelegramAccount };
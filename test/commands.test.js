@@ -0,0 +1,65 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, twilioSignature } = require('./helpers/app');
+
+let app;
+let matchCommand;
+let normalizeText;
+
+before(async () => {
+  app = await startTestApp();
+  ({ matchCommand, normalizeText } = require('../src/services/commands'));
+});
+
+after(() => app?.close());
+
+function commandFor(text) {
+  const match = matchCommand(normalizeText(text).split(' ').filter(Boolean));
+  return match && match.command.name;
+}
+
+let sid = 0;
+
+function sendText(from, body) {
+  const params = { MessageSid: `SM6${String(++sid).padStart(3, '0')}`, From: `whatsapp:${from}`, To: 'whatsapp:+14155550100', Body: body, NumMedia: '0' };
+  return fetch(`${app.url}/webhook`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'X-Twilio-Signature': twilioSignature('/webhook', params) },
+    body: new URLSearchParams(params)
+  });
+}
+
+function messagesTo(phoneNumber) {
+  return app.fakes.twilio.messages.filter(message => message.to === `whatsapp:${phoneNumber}`);
+}
+
+test('short commands and their aliases match on their own', () => {
+  assert.equal(commandFor('Yes!'), 'confirm');
+  assert.equal(commandFor('paid'), 'verify');
+  assert.equal(commandFor('hi'), 'start');
+  assert.equal(commandFor('bg red'), 'bg');
+  assert.equal(commandFor('stauts'), 'status');
+});
+
+test('unambiguous commands are found inside a sentence', () => {
+  assert.equal(commandFor('please send status'), 'status');
+  assert.equal(commandFor('can you help me'), 'help');
+  assert.equal(commandFor('I want to upgrade'), 'upgrade');
+});
+
+test('ordinary sentences do not trigger generic aliases', () => {
+  assert.equal(commandFor('yes I want to stop'), null);
+  assert.equal(commandFor('I already paid'), null);
+  assert.equal(commandFor('hi there'), null);
+});
+
+test('choosing a credit pack from UPGRADE offers that pack', async () => {
+  const phoneNumber = '+919800006001';
+  await sendText(phoneNumber, 'upgrade');
+  // 1 is the premium plan, then the packs
+  await sendText(phoneNumber, '2');
+
+  const reply = messagesTo(phoneNumber).at(-1).body;
+  assert.match(reply, /^💳 10 images - ₹199/);
+  assert.match(reply, /item=pack10/);
+});
@@ -0,0 +1,81 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/app');
+const { testImage } = require('./helpers/fakes');
+
+let app;
+let Result;
+let storeFile;
+let createResult;
+let getFileUrl;
+
+before(async () => {
+  app = await startTestApp();
+  ({ Result } = require('../src/models'));
+  ({ storeFile, createResult, getFileUrl } = require('../src/services/storage'));
+});
+
+after(() => app?.close());
+
+// Stores an output the way a finished job does and returns its /file path on the test server
+async function storedResult(phoneNumber) {
+  const image = await testImage('png', { alpha: true });
+  const stored = await storeFile(image, { phoneNumber, format: 'png' });
+  const result = await createResult({ phoneNumber, stored, bytes: image.length });
+  return { image, result, path: new URL(getFileUrl(result)).pathname };
+}
+
+test('streams a stored result through a signed link', async () => {
+  const { image, result, path } = await storedResult('+919800003001');
+
+  const res = await fetch(`${app.url}${path}`);
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('content-type'), 'image/png');
+  assert.equal(res.headers.get('content-disposition'), 'attachment; filename="output.png"');
+  assert.deepEqual(Buffer.from(await res.arrayBuffer()), image);
+
+  const updated = await Result.findById(result._id);
+  assert.equal(updated.downloads, 1);
+  assert.ok(updated.lastDownloadedAt);
+});
+
+test('HEAD answers with the headers only', async () => {
+  const { image, path } = await storedResult('+919800003002');
+
+  const res = await fetch(`${app.url}${path}`, { method: 'HEAD' });
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('content-type'), 'image/png');
+  assert.equal(res.headers.get('content-length'), String(image.length));
+});
+
+test('a tampered or unknown token is a 404', async () => {
+  const { path } = await storedResult('+919800003003');
+  const [id, signature] = path.split('/').pop().split('.');
+
+  const tampered = await fetch(`${app.url}/file/${id}.${signature.slice(0, -2)}xx`);
+  assert.equal(tampered.status, 404);
+
+  const otherId = `${id.slice(0, -1)}${id.endsWith('0') ? '1' : '0'}`;
+  const swapped = await fetch(`${app.url}/file/${otherId}.${signature}`);
+  assert.equal(swapped.status, 404);
+
+  const garbage = await fetch(`${app.url}/file/not-a-token`);
+  assert.equal(garbage.status, 404);
+});
+
+test('an expired link is a 410 and the file is not fetched', async () => {
+  const { result, path } = await storedResult('+919800003004');
+  await Result.updateOne({ _id: result._id }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+  const res = await fetch(`${app.url}${path}`);
+  assert.equal(res.status, 410);
+  assert.equal((await Result.findById(result._id)).downloads, 0);
+});
+
+test('a deleted result is a 410', async () => {
+  const { result, path } = await storedResult('+919800003005');
+  await Result.updateOne({ _id: result._id }, { $set: { deletedAt: new Date() } });
+
+  const res = await fetch(`${app.url}${path}`);
+  assert.equal(res.status, 410);
+});
@@ -0,0 +1,121 @@
+// Local stand-ins for remove.bg, Twilio, Cloudinary and Razorpay. Each one is a small Express app on
+// a random port that answers like the real API for the calls we make, and records what it was sent
+// so tests can assert on it.
+
+const express = require('express');
+const multer = require('multer');
+const sharp = require('sharp');
+
+function listen(app) {
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      resolve({ server, url: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+function testImage(format = 'jpeg', { width = 64, height = 48, alpha = false } = {}) {
+  return sharp({
+    create: { width, height, channels: alpha ? 4 : 3, background: alpha ? { r: 200, g: 40, b: 40, alpha: 0.5 } : '#c82828' }
+  }).toFormat(format).toBuffer();
+}
+
+// POST /v1.0/removebg -> a transparent PNG, charged like remove.bg does (X-Credits-Charged)
+async function startRemoveBg() {
+  const cutout = await testImage('png', { alpha: true });
+  const fake = { requests: [], failWith: null };
+  const app = express();
+  app.post('/v1.0/removebg', multer().any(), (req, res) => {
+    fake.requests.push({ apiKey: req.get('X-Api-Key'), format: req.body.format });
+    if (fake.failWith) return res.status(fake.failWith.status).json(fake.failWith.body);
+    res.set({ 'Content-Type': 'image/png', 'X-Credits-Charged': '1' }).send(cutout);
+  });
+  return Object.assign(fake, await listen(app));
+}
+
+// Messages API plus a media host standing in for Twilio's MediaUrl links
+async function startTwilio() {
+  const photo = await testImage('jpeg');
+  const fake = { messages: [], mediaRequests: [] };
+  const app = express();
+  app.use(express.urlencoded({ extended: true }));
+  app.post('/2010-04-01/Accounts/:sid/Messages.json', (req, res) => {
+    const mediaUrl = req.body.MediaUrl ? [].concat(req.body.MediaUrl) : [];
+    const message = { sid: `SM${String(fake.messages.length).padStart(32, '0')}`, to: req.body.To, from: req.body.From, body: req.body.Body || '', mediaUrl };
+    fake.messages.push(message);
+    res.status(201).json({ account_sid: req.params.sid, sid: message.sid, to: message.to, from: message.from, body: message.body, status: 'queued' });
+  });
+  app.get('/media/:name', (req, res) => {
+    fake.mediaRequests.push({ name: req.params.name, authorization: req.get('Authorization') });
+    res.set('Content-Type', 'image/jpeg').send(photo);
+  });
+  return Object.assign(fake, await listen(app));
+}
+
+// Upload API (the SDK posts multipart to <upload_prefix>/v1_1/<cloud>/image/upload) and delivery
+async function startCloudinary() {
+  const fake = { files: new Map(), destroyed: [] };
+  const app = express();
+  const { url } = Object.assign(fake, await listen(app));
+  app.post('/v1_1/:cloud/image/upload', multer().any(), (req, res) => {
+    const file = (req.files || []).find(f => f.fieldname === 'file');
+    if (!file) return res.status(400).json({ error: { message: 'Missing required parameter - file' } });
+    const publicId = req.body.folder ? `${req.body.folder}/${req.body.public_id}` : req.body.public_id;
+    const format = req.body.format || 'png';
+    fake.files.set(`${publicId}.${format}`, file.buffer);
+    res.json({
+      public_id: publicId,
+      format,
+      bytes: file.buffer.length,
+      resource_type: 'image',
+      secure_url: `${url}/${req.params.cloud}/image/upload/${publicId}.${format}`
+    });
+  });
+  app.post('/v1_1/:cloud/image/destroy', multer().none(), (req, res) => {
+    fake.destroyed.push(req.body.public_id);
+    res.json({ result: 'ok' });
+  });
+  app.get('/:cloud/image/upload/*path', (req, res) => {
+    const file = fake.files.get(req.params.path.join('/'));
+    if (!file) return res.sendStatus(404);
+    res.set('Content-Type', 'image/png').send(file);
+  });
+  return fake;
+}
+
+// The Razorpay REST calls the app makes; tests seed `payments` / `subscriptions` by id
+async function startRazorpay() {
+  const fake = { payments: new Map(), subscriptions: new Map(), orders: [] };
+  const app = express();
+  app.use(express.json());
+  const notFound = res => res.status(400).json({ error: { code: 'BAD_REQUEST_ERROR', description: 'The id provided does not exist' } });
+  app.get('/v1/payments/:id', (req, res) => {
+    const payment = fake.payments.get(req.params.id);
+    return payment ? res.json(payment) : notFound(res);
+  });
+  app.get('/v1/subscriptions/:id', (req, res) => {
+    const subscription = fake.subscriptions.get(req.params.id);
+    return subscription ? res.json(subscription) : notFound(res);
+  });
+  app.post('/v1/orders', (req, res) => {
+    const order = { id: `order_test${fake.orders.length}`, entity: 'order', status: 'created', ...req.body };
+    fake.orders.push(order);
+    res.json(order);
+  });
+  return Object.assign(fake, await listen(app));
+}
+
+async function startFakes() {
+  return {
+    removeBg: await startRemoveBg(),
+    twilio: await startTwilio(),
+    cloudinary: await startCloudinary(),
+    razorpay: await startRazorpay()
+  };
+}
+
+function stopFakes(fakes) {
+  return Promise.all(Object.values(fakes).map(fake => new Promise(resolve => fake.server.close(resolve))));
+}
+
+module.exports = { startFakes, stopFakes, testImage };
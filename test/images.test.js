@@ -0,0 +1,34 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { fitToPreset, OUTPUT_PRESETS } = require('../src/services/images');
+
+// A 300x400 red subject off-centre on a transparent 800x600 cut-out
+function cutout() {
+  const subject = { create: { width: 300, height: 400, channels: 4, background: { r: 255, g: 0, b: 0, alpha: 1 } } };
+  return sharp({ create: { width: 800, height: 600, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } })
+    .composite([{ input: subject, left: 100, top: 50 }])
+    .png()
+    .toBuffer();
+}
+
+test('presets scale the subject to their fill and centre it on the canvas', async () => {
+  for (const name of ['amazon', 'instagram']) {
+    const preset = OUTPUT_PRESETS[name];
+    const output = await fitToPreset(await cutout(), preset);
+
+    const { width, height } = await sharp(output).metadata();
+    assert.deepEqual([width, height], [preset.width, preset.height]);
+
+    // the subject is portrait, so its height is the one that reaches the fill
+    const { info } = await sharp(output).trim().toBuffer({ resolveWithObject: true });
+    assert.equal(info.height, Math.round(preset.height * preset.fill), name);
+    assert.ok(info.width < preset.width * preset.fill, name);
+
+    // equal margins either side
+    const left = -info.trimOffsetLeft;
+    const top = -info.trimOffsetTop;
+    assert.ok(Math.abs(left - (preset.width - info.width - left)) <= 1, name);
+    assert.ok(Math.abs(top - (preset.height - info.height - top)) <= 1, name);
+  }
+});
@@ -0,0 +1,166 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, twilioSignature, waitFor } = require('./helpers/app');
+
+let app;
+let Job;
+let User;
+let ProviderUsage;
+let Order;
+
+before(async () => {
+  app = await startTestApp({
+    env: { RATE_LIMIT_MESSAGES: '3', RATE_LIMIT_IMAGES: '2', RATE_LIMIT_BLOCK_MINUTES: '10', REMOVEBG_DAILY_BUDGET: '5' }
+  });
+  ({ Job, User, ProviderUsage, Order } = require('../src/models'));
+});
+
+after(() => app?.close());
+
+let sid = 0;
+
+function postWebhook(from, { body = '', images = 0 } = {}) {
+  const messageSid = `SM${String(++sid).padStart(4, '0')}`;
+  const params = { MessageSid: messageSid, From: `whatsapp:${from}`, To: 'whatsapp:+14155550100', Body: body, NumMedia: String(images) };
+  for (let i = 0; i < images; i++) {
+    params[`MediaUrl${i}`] = `${app.fakes.twilio.url}/media/${messageSid}-${i}.jpg`;
+    params[`MediaContentType${i}`] = 'image/jpeg';
+  }
+  return fetch(`${app.url}/webhook`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'X-Twilio-Signature': twilioSignature('/webhook', params) },
+    body: new URLSearchParams(params)
+  }).then(res => ({ res, messageSid }));
+}
+
+function adminPost(path, body) {
+  return fetch(`${app.url}/admin/api${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Admin-Secret': 'test-admin-secret' },
+    body: JSON.stringify(body)
+  });
+}
+
+function messagesTo(phoneNumber) {
+  return app.fakes.twilio.messages.filter(message => message.to === `whatsapp:${phoneNumber}`);
+}
+
+test('a number sending too many messages is told when to retry, then ignored', async () => {
+  const phoneNumber = '+919800004001';
+  for (let i = 0; i < 3; i++) await postWebhook(phoneNumber, { body: 'help' });
+  assert.equal(messagesTo(phoneNumber).length, 3);
+
+  const { res } = await postWebhook(phoneNumber, { body: 'help' });
+  assert.equal(res.status, 200);
+  assert.match(messagesTo(phoneNumber).at(-1).body, /Too many messages\. Please wait 10 minutes/);
+
+  const user = await User.findOne({ phoneNumber });
+  assert.equal(user.blockedReason, 'rate_limit_messages');
+  assert.ok(user.blockedUntil > new Date());
+
+  await postWebhook(phoneNumber, { body: 'help' });
+  assert.equal(messagesTo(phoneNumber).length, 4);
+});
+
+test('an album over the image limit is not queued', async () => {
+  const phoneNumber = '+919800004002';
+  const calls = app.fakes.removeBg.requests.length;
+
+  const { messageSid } = await postWebhook(phoneNumber, { images: 3 });
+
+  assert.match(messagesTo(phoneNumber).at(-1).body, /Too many messages/);
+  assert.equal((await User.findOne({ phoneNumber })).blockedReason, 'rate_limit_images');
+  assert.equal(await Job.countDocuments({ messageSid }), 0);
+  assert.equal(app.fakes.removeBg.requests.length, calls);
+});
+
+test('admins can block a number for a while and unblock it', async () => {
+  const phoneNumber = '+919800004003';
+  await postWebhook(phoneNumber, { body: 'help' });
+  assert.equal(messagesTo(phoneNumber).length, 1);
+
+  const blocked = await adminPost(`/users/${encodeURIComponent(phoneNumber)}/block`, { reason: 'spam', minutes: 30 });
+  assert.equal(blocked.status, 200);
+  const { user } = await blocked.json();
+  assert.equal(user.blocked, false);
+  assert.equal(user.blockedReason, 'spam');
+  assert.ok(new Date(user.blockedUntil) > new Date(Date.now() + 29 * 60 * 1000));
+
+  const list = await fetch(`${app.url}/admin/api/blocklist`, { headers: { 'X-Admin-Secret': 'test-admin-secret' } }).then(res => res.json());
+  assert.ok(list.users.some(entry => entry.phoneNumber === phoneNumber));
+
+  await postWebhook(phoneNumber, { body: 'help' });
+  assert.equal(messagesTo(phoneNumber).length, 1);
+
+  const unblocked = await adminPost(`/users/${encodeURIComponent(phoneNumber)}/block`, { blocked: false });
+  assert.equal((await unblocked.json()).user.blockedUntil, null);
+
+  await postWebhook(phoneNumber, { body: 'help' });
+  assert.equal(messagesTo(phoneNumber).length, 2);
+});
+
+test('a form post riding on the browser login cannot block a number', async () => {
+  const phoneNumber = '+919800004008';
+  await postWebhook(phoneNumber, { body: 'help' });
+  const basic = `Basic ${Buffer.from('admin:test-admin-secret').toString('base64')}`;
+  const path = `${app.url}/admin/api/users/${encodeURIComponent(phoneNumber)}/block`;
+
+  const forged = await fetch(path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Authorization: basic },
+    body: new URLSearchParams({ blocked: 'true', reason: 'csrf' })
+  });
+  assert.equal(forged.status, 415);
+  assert.equal((await User.findOne({ phoneNumber })).blocked, false);
+
+  // the /admin page itself sends JSON
+  const page = await fetch(path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: basic },
+    body: JSON.stringify({ blocked: true, reason: 'spam' })
+  });
+  assert.equal(page.status, 200);
+  assert.equal((await User.findOne({ phoneNumber })).blocked, true);
+});
+
+test('free images pause once the remove.bg budget is spent while premium users carry on', async () => {
+  const today = new Date().toISOString().slice(0, 10);
+  await ProviderUsage.create({ provider: 'removebg', period: today, credits: 5 });
+  const calls = app.fakes.removeBg.requests.length;
+
+  const freeNumber = '+919800004004';
+  const { messageSid: freeSid } = await postWebhook(freeNumber, { images: 1 });
+  const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  assert.equal(messagesTo(freeNumber).at(-1).body, `⏸️ Free processing is paused until ${tomorrow} because of high demand. Reply UPGRADE to keep going now.`);
+  assert.equal(await Job.countDocuments({ messageSid: freeSid }), 0);
+  assert.equal(app.fakes.removeBg.requests.length, calls);
+
+  const premiumNumber = '+919800004005';
+  await User.create({ phoneNumber: premiumNumber, tier: 'premium', premiumUntil: new Date(Date.now() + 24 * 60 * 60 * 1000), referralCode: 'BUDGET05' });
+  const { messageSid } = await postWebhook(premiumNumber, { images: 1 });
+  const job = await waitFor(() => Job.findOne({ messageSid, status: { $in: ['completed', 'dead'] } }));
+  assert.equal(job.status, 'completed', job.lastError);
+  assert.equal(job.provider, 'removebg');
+
+  // the premium image still counts towards the spend
+  assert.equal((await ProviderUsage.findOne({ provider: 'removebg', period: today })).credits, 6);
+  const budget = await fetch(`${app.url}/admin/api/budget`, { headers: { 'X-Admin-Secret': 'test-admin-secret' } }).then(res => res.json());
+  assert.equal(budget.exhausted, 'daily');
+  assert.equal(budget.daily.used, 6);
+});
+
+test('referral credits do not get past the spent budget, bought credits do', async () => {
+  // the budget is still spent from the test above
+  const referredNumber = '+919800004006';
+  await User.create({ phoneNumber: referredNumber, tier: 'free', credits: 3, referredBy: '+919800004999', referralCode: 'BUDGET06' });
+  const { messageSid: referredSid } = await postWebhook(referredNumber, { images: 1 });
+  assert.match(messagesTo(referredNumber).at(-1).body, /^⏸️ Free processing is paused/);
+  assert.equal(await Job.countDocuments({ messageSid: referredSid }), 0);
+
+  const buyerNumber = '+919800004007';
+  await User.create({ phoneNumber: buyerNumber, tier: 'free', credits: 10, referralCode: 'BUDGET07' });
+  await Order.create({ phoneNumber: buyerNumber, packCode: 'pack10', razorpayOrderId: 'order_budget07', amount: 19900, status: 'paid' });
+  const { messageSid } = await postWebhook(buyerNumber, { images: 1 });
+  const job = await waitFor(() => Job.findOne({ messageSid, status: { $in: ['completed', 'dead'] } }));
+  assert.equal(job.status, 'completed', job.lastError);
+});
@@ -0,0 +1,148 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, checkoutSignature, waitFor } = require('./helpers/app');
+
+let app;
+let User;
+let Order;
+let Payment;
+let CreditPack;
+
+before(async () => {
+  app = await startTestApp();
+  ({ User, Order, Payment, CreditPack } = require('../src/models'));
+});
+
+after(() => app?.close());
+
+// A user with a created order and the captured payment Razorpay would return for it
+async function checkout(phoneNumber, orderId, paymentId, { planCode = 'premium', packCode = null, amount = 99900 } = {}) {
+  await User.create({ phoneNumber, tier: 'free', imagesProcessed: 2, resetDate: new Date(Date.now() + 24 * 60 * 60 * 1000) });
+  await Order.create({ phoneNumber, razorpayOrderId: orderId, planCode: packCode ? null : planCode, packCode, amount });
+  app.fakes.razorpay.payments.set(paymentId, {
+    id: paymentId,
+    entity: 'payment',
+    order_id: orderId,
+    amount,
+    currency: 'INR',
+    status: 'captured',
+    method: 'upi',
+    amount_refunded: 0,
+    created_at: Math.floor(Date.now() / 1000)
+  });
+}
+
+function verify(body) {
+  return fetch(`${app.url}/verify-payment`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+function messagesTo(phoneNumber) {
+  return app.fakes.twilio.messages.filter(message => message.to === `whatsapp:${phoneNumber}`);
+}
+
+test('rejects a payment with a bad signature', async () => {
+  await checkout('+919800002001', 'order_bad', 'pay_bad');
+
+  const res = await verify({ orderId: 'order_bad', paymentId: 'pay_bad', signature: 'f'.repeat(64), phoneNumber: '919800002001' });
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).error, 'Invalid signature');
+
+  const user = await User.findOne({ phoneNumber: '+919800002001' });
+  assert.equal(user.tier, 'free');
+  assert.equal(await Payment.countDocuments({ razorpayPaymentId: 'pay_bad' }), 0);
+});
+
+test('a signature for a different payment is rejected', async () => {
+  await checkout('+919800002002', 'order_swap', 'pay_swap');
+
+  const res = await verify({ orderId: 'order_swap', paymentId: 'pay_swap', signature: checkoutSignature('order_swap', 'pay_other'), phoneNumber: '919800002002' });
+  assert.equal(res.status, 400);
+  assert.equal((await User.findOne({ phoneNumber: '+919800002002' })).tier, 'free');
+});
+
+test('a valid plan payment upgrades the user once, even when replayed', async () => {
+  const phoneNumber = '+919800002003';
+  await checkout(phoneNumber, 'order_plan', 'pay_plan');
+  const body = { orderId: 'order_plan', paymentId: 'pay_plan', signature: checkoutSignature('order_plan', 'pay_plan'), phoneNumber: '919800002003' };
+
+  const res = await verify(body);
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).message, 'Payment verified!');
+
+  const user = await User.findOne({ phoneNumber });
+  assert.equal(user.tier, 'premium');
+  assert.equal(user.imagesProcessed, 0);
+  assert.ok(user.premiumUntil > new Date());
+  assert.equal(user.lastPaymentId, 'pay_plan');
+
+  const payment = await Payment.findOne({ razorpayPaymentId: 'pay_plan' });
+  assert.equal(payment.applied, true);
+  assert.equal(payment.amount, 99900);
+  assert.equal((await Order.findOne({ razorpayOrderId: 'order_plan' })).status, 'paid');
+  await waitFor(() => messagesTo(phoneNumber).length === 1);
+
+  const replay = await verify(body);
+  assert.equal(replay.status, 200);
+  assert.equal((await replay.json()).message, 'Payment already verified');
+  assert.equal(await Payment.countDocuments({ razorpayPaymentId: 'pay_plan' }), 1);
+  assert.equal(messagesTo(phoneNumber).length, 1);
+  assert.equal((await User.findOne({ phoneNumber })).premiumUntil.getTime(), user.premiumUntil.getTime());
+});
+
+test('a credit pack payment adds credits and keeps the plan', async () => {
+  const phoneNumber = '+919800002004';
+  await checkout(phoneNumber, 'order_pack', 'pay_pack', { packCode: 'pack10', amount: 19900 });
+
+  const res = await verify({ orderId: 'order_pack', paymentId: 'pay_pack', signature: checkoutSignature('order_pack', 'pay_pack'), phoneNumber: '919800002004' });
+  assert.equal(res.status, 200);
+
+  const user = await User.findOne({ phoneNumber });
+  assert.equal(user.tier, 'free');
+  assert.equal(user.credits, 10);
+  assert.equal(user.imagesProcessed, 2);
+});
+
+test('a pack taken off sale after checkout still grants its credits, never a plan', async () => {
+  const phoneNumber = '+919800002005';
+  await checkout(phoneNumber, 'order_retired', 'pay_retired', { packCode: 'pack10', amount: 19900 });
+  await CreditPack.updateOne({ code: 'pack10' }, { $set: { active: false } });
+
+  try {
+    const res = await verify({ orderId: 'order_retired', paymentId: 'pay_retired', signature: checkoutSignature('order_retired', 'pay_retired'), phoneNumber: '919800002005' });
+    assert.equal(res.status, 200);
+
+    const user = await User.findOne({ phoneNumber });
+    assert.equal(user.tier, 'free');
+    assert.equal(user.credits, 10);
+  } finally {
+    await CreditPack.updateOne({ code: 'pack10' }, { $set: { active: true } });
+  }
+});
+
+test('a payment for an unknown number is refused', async () => {
+  const res = await verify({ orderId: 'order_x', paymentId: 'pay_x', signature: checkoutSignature('order_x', 'pay_x'), phoneNumber: '919800002999' });
+  assert.equal(res.status, 400);
+  assert.equal(await Payment.countDocuments({ razorpayPaymentId: 'pay_x' }), 0);
+});
+
+test('pack credits and refunds add to the stored balance, not a stale copy of it', async () => {
+  const { fulfilOrder, revokeOrder } = require('../src/services/payments');
+  const phoneNumber = '+919800002006';
+  const user = await User.create({ phoneNumber, tier: 'free', credits: 2 });
+  const order = await Order.create({ phoneNumber, razorpayOrderId: 'order_race', packCode: 'pack10', amount: 19900 });
+
+  // an image charged after the user was loaded
+  await User.updateOne({ _id: user._id }, { $inc: { credits: -1 } });
+  await fulfilOrder(user, order, null);
+  assert.equal((await User.findById(user._id)).credits, 11);
+  assert.equal(user.credits, 11);
+
+  // the refund takes the pack back but never goes below zero
+  await User.updateOne({ _id: user._id }, { $set: { credits: 4 } });
+  await revokeOrder(user, order, 'pay_race');
+  assert.equal((await User.findById(user._id)).credits, 0);
+});
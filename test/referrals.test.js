@@ -0,0 +1,49 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/app');
+
+let app;
+let User;
+let applyReferral;
+let releaseReferralBonus;
+
+before(async () => {
+  app = await startTestApp({ env: { REFERRAL_BONUS: '3' } });
+  ({ User } = require('../src/models'));
+  ({ applyReferral, releaseReferralBonus } = require('../src/services/referrals'));
+});
+
+after(() => app?.close());
+
+test('a new WhatsApp user and their referrer get the bonus straight away', async () => {
+  const referrer = await User.create({ phoneNumber: '+919800007001', referralCode: 'REFER701' });
+  const user = await User.create({ phoneNumber: '+919800007002', referralCode: 'REFER702' });
+
+  const { status } = await applyReferral(user, 'refer701');
+  assert.equal(status, 'applied');
+  assert.equal(user.credits, 3);
+  assert.equal((await User.findById(referrer._id)).credits, 3);
+});
+
+test('a Telegram referral is held until the first processed image', async () => {
+  const referrer = await User.create({ phoneNumber: '+919800007003', referralCode: 'REFER703' });
+  const user = await User.create({ phoneNumber: 'tg7004', channel: 'telegram', referralCode: 'REFER704' });
+
+  const { status } = await applyReferral(user, 'REFER703');
+  assert.equal(status, 'pending');
+  assert.equal((await User.findById(user._id)).credits, 0);
+  assert.equal((await User.findById(referrer._id)).credits, 0);
+
+  // a second REF can't claim it again while it is held
+  assert.equal((await applyReferral(user, 'REFER703')).status, 'already');
+
+  const released = await releaseReferralBonus(user);
+  assert.equal(released.phoneNumber, referrer.phoneNumber);
+  assert.equal((await User.findById(user._id)).credits, 3);
+  const paid = await User.findById(referrer._id);
+  assert.equal(paid.credits, 3);
+  assert.equal(paid.referralCount, 1);
+
+  assert.equal(await releaseReferralBonus(user), null);
+  assert.equal((await User.findById(referrer._id)).credits, 3);
+});
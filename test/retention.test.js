@@ -0,0 +1,75 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/app');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let app;
+let Result;
+let User;
+let runRetention;
+
+before(async () => {
+  app = await startTestApp();
+  ({ Result, User } = require('../src/models'));
+  ({ runRetention } = require('../src/services/retention'));
+});
+
+after(() => app?.close());
+
+function oldResult(storage, key) {
+  return {
+    phoneNumber: '+919800005001',
+    storage,
+    storageKey: key,
+    expiresAt: new Date(Date.now() - 30 * DAY),
+    createdAt: new Date(Date.now() - 60 * DAY)
+  };
+}
+
+test('files that cannot be deleted are recorded and do not stall the run', async () => {
+  // more than a whole batch on a backend that is no longer configured, so every delete throws
+  const stuck = await Result.insertMany(Array.from({ length: 120 }, (_, i) => oldResult('s3', `stuck-${i}`)));
+  const removable = await Result.create(oldResult('cloudinary', 'whatsapp-bg-remover/old'));
+
+  await runRetention();
+
+  assert.equal(await Result.countDocuments({ _id: { $in: stuck.map(r => r._id) }, deleteAttempts: 1, deletedAt: null }), stuck.length);
+  assert.match((await Result.findById(stuck[0]._id)).deleteError, /s3/);
+  assert.ok((await Result.findById(removable._id)).deletedAt);
+  assert.ok(app.fakes.cloudinary.destroyed.includes('whatsapp-bg-remover/old'));
+});
+
+test('gives up on a file after repeated failures', async () => {
+  const result = await Result.create(oldResult('s3', 'stuck-forever'));
+  await Result.updateOne({ _id: result._id }, { $set: { deleteAttempts: 5 } });
+
+  await runRetention();
+
+  assert.equal((await Result.findById(result._id)).deleteAttempts, 5);
+});
+
+function backdrop(key, uploadedAt) {
+  return { mode: 'image', imageKey: key, imageStorage: 'cloudinary', uploadedAt };
+}
+
+test('old backdrops are deleted and their users go back to transparent', async () => {
+  const expired = await User.create({ phoneNumber: '+919800005002', background: backdrop('whatsapp-bg-remover/backdrop-old', new Date(Date.now() - 60 * DAY)) });
+  const recent = await User.create({ phoneNumber: '+919800005003', background: backdrop('whatsapp-bg-remover/backdrop-new', new Date()) });
+  // sent before uploads were dated: kept for a full period from now
+  const undated = await User.create({ phoneNumber: '+919800005004', background: backdrop('whatsapp-bg-remover/backdrop-undated', null) });
+
+  await runRetention();
+
+  assert.ok(app.fakes.cloudinary.destroyed.includes('whatsapp-bg-remover/backdrop-old'));
+  const reset = (await User.findById(expired._id)).background;
+  assert.equal(reset.mode, 'transparent');
+  assert.equal(reset.imageKey, null);
+
+  assert.equal((await User.findById(recent._id)).background.imageKey, 'whatsapp-bg-remover/backdrop-new');
+  const stamped = (await User.findById(undated._id)).background;
+  assert.equal(stamped.imageKey, 'whatsapp-bg-remover/backdrop-undated');
+  assert.ok(stamped.uploadedAt);
+  assert.ok(!app.fakes.cloudinary.destroyed.includes('whatsapp-bg-remover/backdrop-new'));
+  assert.ok(!app.fakes.cloudinary.destroyed.includes('whatsapp-bg-remover/backdrop-undated'));
+});
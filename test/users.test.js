@@ -0,0 +1,90 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/app');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let app;
+let User;
+let getUserData;
+let backfillPremiumUntil;
+
+before(async () => {
+  app = await startTestApp();
+  ({ User } = require('../src/models'));
+  ({ getUserData } = require('../src/services/users'));
+  ({ backfillPremiumUntil } = require('../src/services/payments'));
+});
+
+after(() => app?.close());
+
+function firstOfNextMonth() {
+  const now = new Date();
+  return new Date(now.getFullYear(), now.getMonth() + 1, 1);
+}
+
+test('a new number gets a free account with a referral code', async () => {
+  const user = await getUserData('+919800001001');
+  assert.equal(user.tier, 'free');
+  assert.equal(user.imagesProcessed, 0);
+  assert.equal(user.resetDate.getTime(), firstOfNextMonth().getTime());
+  assert.match(user.referralCode, /^[A-Z2-9]+$/);
+  assert.equal(await User.countDocuments({ phoneNumber: '+919800001001' }), 1);
+});
+
+test('usage resets once the reset date has passed', async () => {
+  await User.create({ phoneNumber: '+919800001002', tier: 'free', imagesProcessed: 3, credits: 2, resetDate: new Date(Date.now() - DAY) });
+
+  const user = await getUserData('+919800001002');
+  assert.equal(user.imagesProcessed, 0);
+  assert.equal(user.resetDate.getTime(), firstOfNextMonth().getTime());
+  // bought credits are not part of the monthly quota
+  assert.equal(user.credits, 2);
+
+  const stored = await User.findOne({ phoneNumber: '+919800001002' });
+  assert.equal(stored.imagesProcessed, 0);
+});
+
+test('usage is kept until the reset date', async () => {
+  const resetDate = new Date(Date.now() + 5 * DAY);
+  await User.create({ phoneNumber: '+919800001003', tier: 'free', imagesProcessed: 2, resetDate });
+
+  const user = await getUserData('+919800001003');
+  assert.equal(user.imagesProcessed, 2);
+  assert.equal(user.resetDate.getTime(), resetDate.getTime());
+});
+
+test('a lapsed paid plan falls back to free', async () => {
+  await User.create({
+    phoneNumber: '+919800001004',
+    tier: 'premium',
+    premiumUntil: new Date(Date.now() - DAY),
+    imagesProcessed: 40,
+    resetDate: new Date(Date.now() + 5 * DAY)
+  });
+
+  const user = await getUserData('+919800001004');
+  assert.equal(user.tier, 'free');
+  assert.equal((await User.findOne({ phoneNumber: '+919800001004' })).tier, 'free');
+});
+
+test('an active paid plan is left alone', async () => {
+  const premiumUntil = new Date(Date.now() + 10 * DAY);
+  await User.create({ phoneNumber: '+919800001005', tier: 'premium', premiumUntil, imagesProcessed: 40, resetDate: new Date(Date.now() + 5 * DAY) });
+
+  const user = await getUserData('+919800001005');
+  assert.equal(user.tier, 'premium');
+  assert.equal(user.imagesProcessed, 40);
+});
+
+test('paid users without premiumUntil get one period, then lapse like everyone else', async () => {
+  await User.create({ phoneNumber: '+919800001006', tier: 'premium', premiumUntil: null, resetDate: new Date(Date.now() + 5 * DAY) });
+
+  await backfillPremiumUntil();
+  const backfilled = await User.findOne({ phoneNumber: '+919800001006' });
+  assert.ok(backfilled.premiumUntil > new Date(Date.now() + 29 * DAY));
+  assert.equal((await getUserData('+919800001006')).tier, 'premium');
+
+  await User.updateOne({ phoneNumber: '+919800001006' }, { $set: { premiumUntil: new Date(Date.now() - DAY) } });
+  assert.equal((await getUserData('+919800001006')).tier, 'free');
+});
@@ -0,0 +1,142 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, twilioSignature, waitFor } = require('./helpers/app');
+
+let app;
+let Job;
+let User;
+
+before(async () => {
+  app = await startTestApp();
+  ({ Job, User } = require('../src/models'));
+});
+
+after(() => app?.close());
+
+function postWebhook(params, signature = twilioSignature('/webhook', params)) {
+  return fetch(`${app.url}/webhook`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'X-Twilio-Signature': signature },
+    body: new URLSearchParams(params)
+  });
+}
+
+function imageMessage(from, sid) {
+  return {
+    MessageSid: sid,
+    From: `whatsapp:${from}`,
+    To: 'whatsapp:+14155550100',
+    Body: '',
+    NumMedia: '1',
+    MediaUrl0: `${app.fakes.twilio.url}/media/${sid}.jpg`,
+    MediaContentType0: 'image/jpeg'
+  };
+}
+
+function messagesTo(phoneNumber) {
+  return app.fakes.twilio.messages.filter(message => message.to === `whatsapp:${phoneNumber}`);
+}
+
+test('rejects a webhook without a valid Twilio signature', async () => {
+  const params = imageMessage('+919800000001', 'SM0001');
+  const res = await postWebhook(params, 'not-a-signature');
+  assert.equal(res.status, 403);
+  assert.equal(await Job.countDocuments({ messageSid: 'SM0001' }), 0);
+});
+
+test('an image is queued, cut out, stored and sent back', async () => {
+  const phoneNumber = '+919800000002';
+  const res = await postWebhook(imageMessage(phoneNumber, 'SM0002'));
+  assert.equal(res.status, 200);
+
+  const job = await waitFor(() => Job.findOne({ messageSid: 'SM0002', status: { $in: ['completed', 'dead'] } }));
+  assert.equal(job.status, 'completed', job.lastError);
+  assert.equal(job.provider, 'removebg');
+  assert.equal(job.channel, 'twilio');
+
+  // the original came from the MediaUrl with our Twilio credentials, and went to remove.bg
+  const download = app.fakes.twilio.mediaRequests.find(request => request.name === 'SM0002.jpg');
+  assert.match(download.authorization, /^Basic /);
+  assert.equal(app.fakes.removeBg.requests.at(-1).apiKey, 'test-removebg-key');
+  assert.equal(app.fakes.cloudinary.files.size > 0, true);
+
+  // acknowledgement, then the result as a document and an image - both signed /file links
+  const sent = await waitFor(() => {
+    const messages = messagesTo(phoneNumber);
+    return messages.length >= 3 && messages;
+  });
+  assert.equal(sent.filter(message => message.mediaUrl.length === 0).length, 1);
+  const links = sent.filter(message => message.mediaUrl.length).map(message => message.mediaUrl[0]);
+  assert.equal(links.length, 2);
+  for (const link of links) assert.match(link, /^https:\/\/bot\.test\/file\/[0-9a-f]{24}\.[\w-]+$/);
+
+  const user = await User.findOne({ phoneNumber });
+  assert.equal(user.imagesProcessed, 1);
+});
+
+test('a redelivered message is only processed once', async () => {
+  const phoneNumber = '+919800000003';
+  const params = imageMessage(phoneNumber, 'SM0003');
+  await postWebhook(params);
+  await postWebhook(params);
+
+  await waitFor(() => Job.findOne({ messageSid: 'SM0003', status: 'completed' }));
+  assert.equal(await Job.countDocuments({ messageSid: 'SM0003' }), 1);
+  const user = await User.findOne({ phoneNumber });
+  assert.equal(user.imagesProcessed, 1);
+});
+
+test('an image over the free quota is turned away without calling remove.bg', async () => {
+  const phoneNumber = '+919800000004';
+  const nextMonth = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+  await User.create({ phoneNumber, tier: 'free', imagesProcessed: 3, resetDate: nextMonth, referralCode: 'QUOTA004' });
+  const calls = app.fakes.removeBg.requests.length;
+
+  const res = await postWebhook(imageMessage(phoneNumber, 'SM0004'));
+  assert.equal(res.status, 200);
+
+  // the worker makes the call, not the webhook
+  const job = await waitFor(() => Job.findOne({ messageSid: 'SM0004', status: { $in: ['completed', 'dead'] } }));
+  assert.equal(job.status, 'dead');
+  assert.equal(job.errorCode, 'quota_exceeded');
+  const reply = await waitFor(() => messagesTo(phoneNumber).find(message => /no images left/.test(message.body)));
+  assert.equal(reply.mediaUrl.length, 0);
+  assert.equal(app.fakes.removeBg.requests.length, calls);
+  assert.equal((await User.findOne({ phoneNumber })).imagesProcessed, 3);
+});
+
+test('a repeat of an earlier image is sent again even with no quota left', async () => {
+  const phoneNumber = '+919800000005';
+  await postWebhook(imageMessage(phoneNumber, 'SM0005'));
+  await waitFor(() => Job.findOne({ messageSid: 'SM0005', status: 'completed' }));
+  await User.updateOne({ phoneNumber }, { $set: { imagesProcessed: 3 } });
+  const calls = app.fakes.removeBg.requests.length;
+
+  // the fake serves the same photo for every MediaUrl
+  await postWebhook(imageMessage(phoneNumber, 'SM0006'));
+  const job = await waitFor(() => Job.findOne({ messageSid: 'SM0006', status: { $in: ['completed', 'dead'] } }));
+  assert.equal(job.status, 'completed', job.lastError);
+  assert.equal(job.cached, true);
+  assert.equal(app.fakes.removeBg.requests.length, calls);
+  assert.equal((await User.findOne({ phoneNumber })).imagesProcessed, 3);
+});
+
+test('a replaced or switched-off backdrop is deleted from storage', async () => {
+  const phoneNumber = '+919800000007';
+  const backdropMessage = sid => ({ ...imageMessage(phoneNumber, sid), Body: 'BACKDROP' });
+
+  await postWebhook(backdropMessage('SM0007'));
+  const first = (await User.findOne({ phoneNumber })).background;
+  assert.equal(first.mode, 'image');
+  assert.ok(first.uploadedAt);
+
+  await postWebhook(backdropMessage('SM0008'));
+  const second = (await User.findOne({ phoneNumber })).background;
+  assert.notEqual(second.imageKey, first.imageKey);
+  assert.ok(app.fakes.cloudinary.destroyed.includes(first.imageKey));
+
+  const bgNone = { MessageSid: 'SM0009', From: `whatsapp:${phoneNumber}`, To: 'whatsapp:+14155550100', Body: 'BG NONE', NumMedia: '0' };
+  await postWebhook(bgNone);
+  assert.equal((await User.findOne({ phoneNumber })).background.mode, 'transparent');
+  assert.ok(app.fakes.cloudinary.destroyed.includes(second.imageKey));
+});